@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+/*!
+ * llepub-cli - build an EPUB with llepub-saver on Node.js.
+ * License: GPLv3 (https://www.gnu.org/licenses/gpl-3.0.html)
+ *
+ * Usage:
+ *   node llepub-cli.js <book.json | directory | book.epub>... [-o output.epub] [--strict] [--deterministic]
+ *                      [--target compat|epub3|epub2] [--split-chapters N] [--split-bytes N]
+ *
+ * The output extension picks the format: .epub, .kepub.epub (Kobo), .cbz, .txt, .html or .md.
+ * --target picks the EPUB flavour: compat (default, EPUB3 readable by EPUB2 readers), strict epub3,
+ * or epub2 for old e-ink readers.
+ * --deterministic makes rebuilds of the same input byte-identical; timestamps come from
+ * SOURCE_DATE_EPOCH when it is set.
+ * Several inputs are merged into one omnibus, one volume per input.
+ * --split-chapters / --split-bytes write parts of at most N chapters / about N bytes as
+ * output.part1.epub, output.part2.epub, ...
+ *
+ * Needs `jszip` and `jsdom` from npm; `pngjs` and `jpeg-js` enable the "images" settings.
+ *
+ * book.json:
+ *   {
+ *     "title": "Book", "creator": "Author", "language": "zh-CN",
+ *     "metadata": { "description": "...", "subject": ["Tag 1", "Tag 2"] },  // arrays repeat the element
+ *     "series": "Series", "seriesIndex": 1,
+ *     "writingMode": "vertical-rl",              // optional, 縦書き / 直排 with right-to-left pages
+ *     "images": { "maxWidth": 1264, "maxHeight": 1680, "format": "jpeg", "quality": 0.8, "grayscale": true },  // optional
+ *     "plugins": ["colophon.js"],                // optional, modules exporting an EpubSaver plugin
+ *     "cover": "cover.jpg",                      // file path or URL
+ *     "css": { "0": "style.css" },               // addCSS index -> file path
+ *     "volumes": [{
+ *       "title": "Volume 1", "options": { "createVolumePage": true },
+ *       "chapters": [{ "title": "Chapter 1", "file": "1.txt", "type": "text", "useGlobalCSS": true }]
+ *     }]
+ *   }
+ *
+ * A directory without book.json is read as one volume per sub-directory (or a single volume
+ * for files in the root), one chapter per .txt/.html/.xhtml file in name order, cover.* as
+ * cover and style.css as global CSS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EpubSaver } = require('./llepub-latest.js');
+
+const chapterExtensions = {
+  '.txt': 'text',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'xhtml'
+};
+
+function parseArgs(argv) {
+  const args = {
+    inputs: [],
+    output: null,
+    strict: false,
+    deterministic: false,
+    target: undefined,
+    splitChapters: 0,
+    splitBytes: 0
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '-o' || argv[i] === '--output') {
+      args.output = argv[++i];
+    } else if (argv[i] === '--strict') {
+      args.strict = true;
+    } else if (argv[i] === '--deterministic') {
+      args.deterministic = true;
+    } else if (argv[i] === '--target') {
+      args.target = argv[++i];
+    } else if (argv[i] === '--split-chapters') {
+      args.splitChapters = Number(argv[++i]);
+    } else if (argv[i] === '--split-bytes') {
+      args.splitBytes = Number(argv[++i]);
+    } else {
+      args.inputs.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function chapterTitleFromFilename(filename) {
+  // "001 第一章.txt" / "001-第一章.txt" -> "第一章"
+  const name = path.basename(filename, path.extname(filename));
+  return name.replace(/^\d+[\s._-]*/, '') || name;
+}
+
+function readDirectoryManifest(dir) {
+  const naturalSort = (a, b) => a.localeCompare(b, undefined, {
+    numeric: true
+  });
+  const chaptersIn = folder => fs.readdirSync(folder)
+    .filter(name => chapterExtensions[path.extname(name).toLowerCase()] && fs.statSync(path.join(folder, name)).isFile())
+    .sort(naturalSort)
+    .map(name => ({
+      title: chapterTitleFromFilename(name),
+      file: path.relative(dir, path.join(folder, name)),
+      type: chapterExtensions[path.extname(name).toLowerCase()],
+      useGlobalCSS: true
+    }));
+
+  const manifest = {
+    title: path.basename(path.resolve(dir)),
+    volumes: []
+  };
+
+  const cover = fs.readdirSync(dir).find(name => /^cover\.(jpe?g|png|gif|webp)$/i.test(name));
+  if (cover) manifest.cover = cover;
+  if (fs.existsSync(path.join(dir, 'style.css'))) manifest.css = { 0: 'style.css' };
+
+  const rootChapters = chaptersIn(dir);
+  if (rootChapters.length > 0) {
+    manifest.volumes.push({
+      title: manifest.title,
+      chapters: rootChapters
+    });
+  }
+  for (const name of fs.readdirSync(dir).sort(naturalSort)) {
+    const folder = path.join(dir, name);
+    if (!fs.statSync(folder).isDirectory()) continue;
+    const chapters = chaptersIn(folder);
+    if (chapters.length > 0) {
+      manifest.volumes.push({
+        title: chapterTitleFromFilename(name),
+        chapters
+      });
+    }
+  }
+  return manifest;
+}
+
+async function buildBook(manifest, baseDir, env, options = {}) {
+  const resolve = file => path.resolve(baseDir, file);
+  const saver = new EpubSaver({
+    writingMode: manifest.writingMode,
+    images: manifest.images,
+    plugins: (manifest.plugins || []).map(file => require(resolve(file))),
+    ...options,
+    env
+  });
+  const toArrayBuffer = buffer => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+  for (const key of ['title', 'creator', 'language']) {
+    if (manifest[key]) await saver.setInfo(key, manifest[key]);
+  }
+  for (const [key, value] of Object.entries(manifest.metadata || {})) {
+    await saver.setInfo(key, value);
+  }
+  if (manifest.series) await saver.setSeries(manifest.series, manifest.seriesIndex);
+
+  if (manifest.cover) {
+    await saver.cover(/^https?:\/\//.test(manifest.cover) ?
+      manifest.cover :
+      toArrayBuffer(fs.readFileSync(resolve(manifest.cover))));
+  }
+
+  for (const [idx, file] of Object.entries(manifest.css || {})) {
+    await saver.addCSS(Number(idx), fs.readFileSync(resolve(file), 'utf8'));
+  }
+
+  let volIdx = 0;
+  for (const volumeData of manifest.volumes || []) {
+    const volume = await saver.addVolume(volIdx++, volumeData.title, volumeData.options || {});
+    let chapIdx = 0;
+    for (const chapterData of volumeData.chapters || []) {
+      const type = chapterData.type ||
+        (chapterData.file && chapterExtensions[path.extname(chapterData.file).toLowerCase()]) || 'text';
+      const content = typeof chapterData.content === 'string' ?
+        chapterData.content :
+        fs.readFileSync(resolve(chapterData.file), 'utf8');
+      await volume.addChapter(
+        chapIdx++,
+        chapterData.title || chapterTitleFromFilename(chapterData.file || ''),
+        content,
+        type,
+        chapterData.useGlobalCSS ?? true,
+        chapterData.cssIdxs || [],
+        chapterData.insertTitle
+      );
+    }
+  }
+
+  return saver;
+}
+
+async function readInput(input, env, args) {
+  const options = {
+    deterministic: args.deterministic,
+    target: args.target
+  };
+  if (/\.epub$/i.test(input)) {
+    const data = fs.readFileSync(input);
+    return EpubSaver.load(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength), {
+      ...options,
+      env
+    });
+  }
+
+  let manifest;
+  let baseDir;
+  if (fs.statSync(input).isDirectory()) {
+    baseDir = input;
+    const manifestPath = path.join(input, 'book.json');
+    manifest = fs.existsSync(manifestPath) ?
+      JSON.parse(fs.readFileSync(manifestPath, 'utf8')) :
+      readDirectoryManifest(input);
+  } else {
+    baseDir = path.dirname(input);
+    manifest = JSON.parse(fs.readFileSync(input, 'utf8'));
+  }
+  return buildBook(manifest, baseDir, env, options);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.inputs.length === 0) {
+    console.error('Usage: node llepub-cli.js <book.json | directory | book.epub>... [-o output.epub|.kepub.epub|.cbz|.txt|.html|.md] [--strict] [--deterministic] [--target compat|epub3|epub2] [--split-chapters N] [--split-bytes N]');
+    process.exit(1);
+  }
+
+  const { JSDOM } = require('jsdom');
+  const env = {
+    dom: new JSDOM('').window,
+    JSZip: require('jszip')
+  };
+
+  const books = [];
+  for (const input of args.inputs) {
+    books.push(await readInput(input, env, args));
+  }
+  const saver = books.length > 1 ?
+    await EpubSaver.merge(books, {
+      env,
+      deterministic: args.deterministic,
+      target: args.target
+    }) :
+    books[0];
+
+  const output = args.output || `${saver.getInfo('title') || 'book'}.epub`;
+  const parts = args.splitChapters || args.splitBytes ?
+    await saver.split({
+      chapters: args.splitChapters,
+      bytes: args.splitBytes
+    }) :
+    [saver];
+  for (const [i, part] of parts.entries()) {
+    // book.kepub.epub -> book.part1.kepub.epub
+    const file = parts.length > 1 ? output.replace(/((\.kepub)?\.[^./\\]+)?$/i, `.part${i + 1}$1`) : output;
+    const data = await exportBook(part, file, args);
+    fs.writeFileSync(file, data);
+    console.log(`Saved ${file} (${data.byteLength} bytes)`);
+  }
+  const optimized = saver.assetReport.optimized;
+  if (optimized.images > 0) {
+    console.log(`Processed ${optimized.images} images: ${optimized.before} -> ${optimized.after} bytes`);
+  }
+}
+
+async function exportBook(saver, output, args) {
+  const name = output.toLowerCase();
+  if (name.endsWith('.txt')) return Buffer.from(await saver.exportTxt());
+  if (name.endsWith('.html') || name.endsWith('.htm')) return Buffer.from(await saver.exportHtml());
+  if (name.endsWith('.md')) return Buffer.from(await saver.exportMarkdown());
+
+  const archive = name.endsWith('.kepub.epub') ? 'kepub' : name.endsWith('.cbz') ? 'cbz' : 'epub';
+  return Buffer.from(await saver.save({
+    strict: args.strict,
+    archive
+  }));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = error.issues ? 2 : 1;
+  });
+}
+
+module.exports = {
+  buildBook,
+  exportBook,
+  readDirectoryManifest
+};
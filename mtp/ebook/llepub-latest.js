@@ -1,94 +1,392 @@
 /*!
  * llepub-saver - v1.0.3
- * An EPUB ebook saving library for browser.
+ * An EPUB ebook saving library for browser and Node.js.
  * License: GPLv3 (https://www.gnu.org/licenses/gpl-3.0.html)
  * 
  * Dependencies:
- * - Moment.js (https://momentjs.com/) - MIT License
  * - JSZip (https://stuk.github.io/jszip/) - Dual-licensed under MIT and GPLv3.
+ * - A DOM implementation (DOMParser / XMLSerializer), built into browsers,
+ *   e.g. jsdom (https://github.com/jsdom/jsdom) on Node.js - MIT License
  */
 
 class EpubSaver {
-  constructor() {
-    this.zip = new JSZip();
-    this.metadata = new Map();
+  constructor(options = {}) {
+    this.env = EpubSaver._resolveEnvironment(options.env);
+    this.zip = null;
+    this.metadata = new Map(); // key -> [{value, options}], Dublin Core keys are repeatable
     this.volumes = new Map();
     this.cssFiles = new Map();
     this.cssMap = new Map();
     this.cssPathMapping = new Map(); // Maps original CSS paths to final EPUB paths
     this.images = new Map(); // Store downloaded images: filename -> {buffer, extension}
+    this.fonts = new Map(); // Embedded fonts: filename -> {name, buffer, mediaType, obfuscate, ...}
     this.coverBuffer = null;
     this.coverExtension = null;
+    this.coverGenerated = false;
+
+    // Shared asset pipeline for images, CSS and cover downloads
+    this.options = {
+      assets: {
+        retries: 2, // extra attempts after the first failure
+        backoff: 500, // ms before the first retry, doubled on every further retry
+        timeout: 30000, // ms per request, 0 disables
+        concurrency: 4, // downloads in flight across the whole book
+        onFailure: 'placeholder', // 'placeholder' | 'keep' (remote link) | 'drop'
+        ...options.assets
+      },
+      // Generate a typographic cover from title/author/series when none is given or the cover fetch fails
+      autoCover: options.autoCover || false,
+      notes: {
+        placement: 'footnote', // 'footnote' (pop-up in the chapter) | 'volume' | 'book' (endnotes document)
+        ...options.notes
+      },
+      pageList: options.pageList || false, // false | true (chapter `pages` only) | 'chapters' (one page per chapter)
+      sanitize: options.sanitize ?? true, // true | false | {removeTags, allowedTags, transform} | transform(root, saver)
+      fontSubsetter: options.fontSubsetter || null, // async (buffer, text, font) => subset buffer, for fonts added with subset: true
+      // Package flavour: 'compat' (EPUB3 with the EPUB2 NCX, guide and cover meta) | 'epub3' (strict) | 'epub2' (OPF 2.0 for old e-ink readers)
+      target: options.target || 'compat',
+      // Image stage for downloaded and added images, see _processImage(); images the target doesn't support become PNG
+      images: {
+        maxWidth: 0, // px, 0 for no limit
+        maxHeight: 0,
+        format: null, // 'jpeg' | 'png' | 'webp' re-encodes every raster image, null keeps the format
+        quality: undefined, // JPEG/WebP quality 0..1 (0.85 when unset), setting it also recompresses JPEGs
+        grayscale: false, // for e-ink readers
+        ...options.images
+      },
+      layout: options.layout || 'reflowable', // 'reflowable' | 'pre-paginated' (fixed layout, e.g. comics)
+      spread: options.spread || 'auto', // rendition:spread of fixed-layout pages: 'auto' | 'none' | 'landscape' | 'both'
+      pageProgression: options.pageProgression || null, // page-progression-direction: 'ltr' | 'rtl', vertical books default to 'rtl'
+      writingMode: options.writingMode || 'horizontal-tb', // 'horizontal-tb' | 'vertical-rl' (縦書き / 直排)
+      tateChuYoko: options.tateChuYoko ?? 2, // vertical text: digit runs up to this length are set upright (縦中横), 0 disables
+      pageSize: {
+        width: 1200,
+        height: 1600,
+        ...options.pageSize
+      }, // viewport of image pages whose size can't be read from the image
+      // Reproducible builds: true | {key (e.g. a Fanqie book_id) the identifier is derived from, date of every timestamp}
+      deterministic: EpubSaver._deterministicOptions(options.deterministic),
+      // Typesetting of 'text' chapters
+      text: {
+        paragraphs: 'auto', // 'auto' | 'line' (one paragraph per line) | 'blank-line' (single newlines become <br/>)
+        indent: 'strip', // 'strip' leading spaces and 　　, CSS indents paragraphs | 'keep'
+        sceneBreak: EpubSaver._sceneBreakPattern, // paragraphs matching become <hr class="scene-break"/>, false disables
+        punctuation: true, // curly quotes, ……/——, half-width punctuation next to CJK text made full-width
+        source: 'zh-CN', // script of the input text
+        converter: null, // (text, from, to) => text, 简繁 conversion (e.g. OpenCC) when the book language is the other script
+        ...options.text
+      }
+    };
+    this.assetReport = {
+      downloaded: 0,
+      reused: 0,
+      failed: [], // {url, kind, error}
+      optimized: {
+        images: 0, // images changed by the image stage
+        before: 0, // their size in bytes before
+        after: 0 // and after
+      }
+    };
+    this._assetRequests = new Map(); // url -> Promise of the stored image filename
+    this._imageHashes = new Map(); // SHA-1 of image data -> filename
+    this._activeDownloads = 0;
+    this._downloadQueue = [];
+    this._listeners = new Map(); // event type -> Set of listeners, see on()
+    this._hooks = new Map(); // hook name -> handlers in registration order, see hook()
+    this._extraFiles = { documents: [], resources: [] }; // added by beforeManifest hooks, see _buildEntries()
 
     // Internationalization configuration
     this.i18n = {
       'en': {
         cover: 'Cover',
         tableOfContents: 'Table of Contents',
-        chapters: 'Chapters'
+        chapters: 'Chapters',
+        notes: 'Notes',
+        landmarks: 'Landmarks',
+        beginReading: 'Start',
+        pageList: 'Pages',
+        byline: 'Author: ',
+        part: 'Part {n}'
       },
       'zh-CN': {
         cover: '封面',
         tableOfContents: '目录',
-        chapters: '章节'
+        chapters: '章节',
+        notes: '注释',
+        landmarks: '导航',
+        beginReading: '开始阅读',
+        pageList: '页码',
+        byline: '作者：',
+        part: '第{n}部'
       },
       'zh-TW': {
         cover: '封面',
         tableOfContents: '目錄',
-        chapters: '章節'
+        chapters: '章節',
+        notes: '註釋',
+        landmarks: '導覽',
+        beginReading: '開始閱讀',
+        pageList: '頁碼',
+        byline: '作者：',
+        part: '第{n}部'
       },
       'es': {
         cover: 'Portada',
         tableOfContents: 'Índice',
-        chapters: 'Capítulos'
+        chapters: 'Capítulos',
+        notes: 'Notas',
+        landmarks: 'Puntos de referencia',
+        beginReading: 'Comenzar',
+        pageList: 'Páginas',
+        byline: 'Autor: ',
+        part: 'Parte {n}'
       },
       'fr': {
         cover: 'Couverture',
         tableOfContents: 'Table des matières',
-        chapters: 'Chapitres'
+        chapters: 'Chapitres',
+        notes: 'Notes',
+        landmarks: 'Repères',
+        beginReading: 'Commencer',
+        pageList: 'Pages',
+        byline: 'Auteur : ',
+        part: 'Partie {n}'
       },
       'de': {
         cover: 'Cover',
         tableOfContents: 'Inhaltsverzeichnis',
-        chapters: 'Kapitel'
+        chapters: 'Kapitel',
+        notes: 'Anmerkungen',
+        landmarks: 'Orientierungspunkte',
+        beginReading: 'Beginnen',
+        pageList: 'Seiten',
+        byline: 'Autor: ',
+        part: 'Teil {n}'
       },
       'ja': {
         cover: '表紙',
         tableOfContents: '目次',
-        chapters: '章'
+        chapters: '章',
+        notes: '注',
+        landmarks: 'ランドマーク',
+        beginReading: '本文',
+        pageList: 'ページ',
+        byline: '著者：',
+        part: '第{n}部'
       },
       'ko': {
         cover: '표지',
         tableOfContents: '목차',
-        chapters: '장'
+        chapters: '장',
+        notes: '주석',
+        landmarks: '랜드마크',
+        beginReading: '본문',
+        pageList: '페이지',
+        byline: '저자: ',
+        part: '제{n}부'
       },
       'ru': {
         cover: 'Обложка',
         tableOfContents: 'Содержание',
-        chapters: 'Главы'
+        chapters: 'Главы',
+        notes: 'Примечания',
+        landmarks: 'Ориентиры',
+        beginReading: 'Начало',
+        pageList: 'Страницы',
+        byline: 'Автор: ',
+        part: 'Часть {n}'
       },
       'pt': {
         cover: 'Capa',
         tableOfContents: 'Índice',
-        chapters: 'Capítulos'
+        chapters: 'Capítulos',
+        notes: 'Notas',
+        landmarks: 'Marcos',
+        beginReading: 'Começar',
+        pageList: 'Páginas',
+        byline: 'Autor: ',
+        part: 'Parte {n}'
       },
       'it': {
         cover: 'Copertina',
         tableOfContents: 'Indice',
-        chapters: 'Capitoli'
+        chapters: 'Capitoli',
+        notes: 'Note',
+        landmarks: 'Punti di riferimento',
+        beginReading: 'Inizio',
+        pageList: 'Pagine',
+        byline: 'Autore: ',
+        part: 'Parte {n}'
       }
     };
 
+    // Identical input gives a byte-identical file: name-based identifier and one fixed timestamp
+    const deterministic = this.options.deterministic;
+    if (deterministic) {
+      const date = new Date(deterministic.date ?? '1980-01-01T00:00:00Z');
+      this.env = {
+        ...this.env,
+        clock: () => date,
+        randomUUID: () => EpubSaver._nameUuid(String(deterministic.key ?? ''))
+      };
+    }
+
     // Set default metadata
-    this.setInfo('identifier', crypto.randomUUID(), {
-      scheme: 'uuid'
-    });
-    this.setInfo('date', moment().format('YYYY-MM-DDTHH:mm:ss[Z]'), {
-      'opf:event': 'modification'
-    });
+    this.setInfo('identifier', `urn:uuid:${this.env.randomUUID()}`);
+    // Without a key the identifier follows title and authors, see _deriveIdentifier()
+    this._derivedIdentifier = deterministic && deterministic.key == null ? this.getInfo('identifier') : null;
+    // A reproducible build has no real build date to publish
+    if (!deterministic || deterministic.date != null) {
+      this.setInfo('date', this._formatDate(this.env.clock()));
+    }
     this.setInfo('language', 'en');
     this.setInfo('title', 'Untitled Book');
     this.setInfo('creator', 'Unknown Author');
+
+    for (const plugin of options.plugins || []) {
+      this.use(plugin);
+    }
+  }
+
+  // Browser globals are used unless an adapter is injected, e.g. on Node.js:
+  // new EpubSaver({ env: { dom: new JSDOM().window, JSZip: require('jszip') } })
+  static _resolveEnvironment(env = {}) {
+    const dom = env.dom || globalThis;
+    const optionalRequire = name => {
+      try {
+        return typeof require === 'function' ? require(name) : undefined;
+      } catch (error) {
+        return undefined;
+      }
+    };
+    const resolved = {
+      DOMParser: env.DOMParser || dom.DOMParser,
+      XMLSerializer: env.XMLSerializer || dom.XMLSerializer,
+      fetch: env.fetch || (typeof globalThis.fetch === 'function' ? globalThis.fetch.bind(globalThis) : undefined),
+      clock: env.clock || (() => new Date()),
+      randomUUID: env.randomUUID || (globalThis.crypto?.randomUUID ? () => globalThis.crypto.randomUUID() : undefined),
+      JSZip: env.JSZip || globalThis.JSZip || optionalRequire('jszip'),
+      // Optional: raw DEFLATE for saveStream(), files are stored uncompressed without it
+      deflateRaw: env.deflateRaw || EpubSaver._defaultDeflateRaw(optionalRequire),
+      // Optional: {decode(buffer, mediaType) => {width, height, data (RGBA)}, encode(image, mediaType, quality) => bytes}
+      // for the image stage, images are embedded unprocessed without it
+      imageCodec: env.imageCodec || EpubSaver._defaultImageCodec(optionalRequire)
+    };
+
+    // Fail with a clear message when a missing adapter is actually used
+    for (const [key, value] of Object.entries(resolved)) {
+      if (!value && key !== 'deflateRaw' && key !== 'imageCodec') {
+        resolved[key] = function () {
+          throw new Error(`EpubSaver environment has no ${key}, pass it with new EpubSaver({ env: { ${key} } })`);
+        };
+      }
+    }
+    return resolved;
+  }
+
+  static _deterministicOptions(option) {
+    if (!option) return null;
+    // SOURCE_DATE_EPOCH is the usual way to pin timestamps of reproducible builds
+    const epoch = typeof process !== 'undefined' && process.env && process.env.SOURCE_DATE_EPOCH;
+    const config = option === true ? {} : { ...option };
+    return {
+      key: config.key ?? null,
+      date: config.date ?? (epoch ? Number(epoch) * 1000 : null)
+    };
+  }
+
+  // Name-based (version 5) UUID in the URL namespace
+  static _nameUuid(name) {
+    const namespace = [0x6b, 0xa7, 0xb8, 0x11, 0x9d, 0xad, 0x11, 0xd1, 0x80, 0xb4, 0x00, 0xc0, 0x4f, 0xd4, 0x30, 0xc8];
+    const nameBytes = new TextEncoder().encode(name);
+    const input = new Uint8Array(namespace.length + nameBytes.length);
+    input.set(namespace);
+    input.set(nameBytes, namespace.length);
+    const hash = EpubSaver._sha1(input).slice(0, 16);
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    const hex = EpubSaver._hex(hash);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  // Reproducible builds without a key name the book after its title and authors, as they are when packaging
+  _deriveIdentifier() {
+    if (!this._derivedIdentifier) return;
+    const entry = (this.metadata.get('identifier') || []).find(item => item.value === this._derivedIdentifier);
+    // Replaced by the caller
+    if (!entry) return;
+    const name = [this.getInfo('title'), ...this.getInfo('creator', { all: true })].join('\n');
+    entry.value = this._derivedIdentifier = `urn:uuid:${EpubSaver._nameUuid(name)}`;
+  }
+
+  static _defaultDeflateRaw(optionalRequire) {
+    let hasDeflateRawStream = false;
+    try {
+      // 'deflate-raw' is newer than CompressionStream itself
+      hasDeflateRawStream = typeof Response === 'function' && typeof Blob === 'function' &&
+        Boolean(new CompressionStream('deflate-raw'));
+    } catch (error) {
+      hasDeflateRawStream = false;
+    }
+    if (hasDeflateRawStream) {
+      return async data => {
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+      };
+    }
+    const zlib = optionalRequire('zlib');
+    if (zlib && zlib.deflateRawSync) {
+      return async data => new Uint8Array(zlib.deflateRawSync(data, {
+        level: 6
+      }));
+    }
+    return null;
+  }
+
+  static _defaultImageCodec(optionalRequire) {
+    if (typeof globalThis.createImageBitmap === 'function' && typeof globalThis.OffscreenCanvas === 'function') {
+      return {
+        async decode(buffer, mediaType) {
+          const bitmap = await createImageBitmap(new Blob([buffer], { type: mediaType }));
+          const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+          const context = canvas.getContext('2d');
+          context.drawImage(bitmap, 0, 0);
+          bitmap.close();
+          return context.getImageData(0, 0, canvas.width, canvas.height);
+        },
+        async encode(image, mediaType, quality) {
+          const canvas = new OffscreenCanvas(image.width, image.height);
+          const data = new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+          canvas.getContext('2d').putImageData(new ImageData(data, image.width, image.height), 0, 0);
+          const blob = await canvas.convertToBlob({ type: mediaType, quality });
+          // Browsers quietly fall back to PNG for types they can't encode
+          if (blob.type !== mediaType) throw new Error(`This browser can't encode ${mediaType}`);
+          return blob.arrayBuffer();
+        }
+      };
+    }
+
+    // Pure JavaScript codecs from npm
+    const png = optionalRequire('pngjs');
+    const jpeg = optionalRequire('jpeg-js');
+    if (!png && !jpeg) return null;
+    return {
+      async decode(buffer, mediaType) {
+        const bytes = Buffer.from(EpubSaver._toBytes(buffer));
+        if (mediaType === 'image/png' && png) return png.PNG.sync.read(bytes);
+        if (mediaType === 'image/jpeg' && jpeg) return jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true });
+        throw new Error(`No decoder for ${mediaType}`);
+      },
+      async encode(image, mediaType, quality) {
+        if (mediaType === 'image/png' && png) return new Uint8Array(png.PNG.sync.write(image));
+        if (mediaType === 'image/jpeg' && jpeg) return new Uint8Array(jpeg.encode(image, Math.round(quality * 100)).data);
+        throw new Error(`No encoder for ${mediaType}`);
+      }
+    };
+  }
+
+  _formatDate(date) {
+    return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
   }
 
   setI18n(language, translations) {
@@ -99,60 +397,572 @@ class EpubSaver {
   }
 
   _t(key) {
-    const language = this.metadata.get('language')?.value || 'en';
+    const language = this.getInfo('language') || 'en';
     return this.i18n[language]?.[key] || this.i18n['en'][key] || key;
   }
 
+  // Replace every value of `key`. Dublin Core keys become <dc:key>, anything else <meta name content>.
+  // options: {role, fileAs, displaySeq, scheme, titleType, lang, dir}, written as EPUB3 refinements
   async setInfo(key, value, options = {}) {
-    this.metadata.set(key, {
-      value,
-      options
+    this.metadata.delete(EpubSaver._metadataKey(key));
+    await this.addInfo(key, value, options);
+  }
+
+  // Append a value, e.g. a second creator or another subject
+  async addInfo(key, value, options = {}) {
+    const metaKey = EpubSaver._metadataKey(key);
+    const entries = this.metadata.get(metaKey) || [];
+    if (key === 'author') {
+      options = {
+        role: 'aut',
+        ...options
+      };
+    }
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item === undefined || item === null || String(item).trim() === '') continue;
+      entries.push({
+        value: String(item),
+        options: EpubSaver._normalizeMetadataOptions(options)
+      });
+    }
+    if (entries.length > 0) this.metadata.set(metaKey, entries);
+  }
+
+  // First value of `key`, or every value with { all: true }
+  getInfo(key, { all = false } = {}) {
+    const entries = this.metadata.get(EpubSaver._metadataKey(key)) || [];
+    return all ? entries.map(entry => entry.value) : entries[0]?.value;
+  }
+
+  removeInfo(key) {
+    this.metadata.delete(EpubSaver._metadataKey(key));
+  }
+
+  // role is a MARC relator code: aut (author), ill (illustrator), trl (translator), edt (editor)...
+  async addCreator(name, options = {}) {
+    const creators = this.metadata.get('creator') || [];
+    // Drop the 'Unknown Author' placeholder once a real creator is added
+    if (creators.length === 1 && creators[0].value === 'Unknown Author') {
+      this.metadata.delete('creator');
+    }
+    await this.addInfo('creator', name, {
+      role: 'aut',
+      ...options
+    });
+  }
+
+  async addContributor(name, options = {}) {
+    await this.addInfo('contributor', name, options);
+  }
+
+  async addSubject(...subjects) {
+    const existing = this.getInfo('subject', { all: true });
+    await this.addInfo('subject', Array.from(new Set(subjects.flat()))
+      .filter(subject => !existing.includes(String(subject))));
+  }
+
+  // Tags from Fanqie's category_v2: a JSON string (or parsed array) of {ObjectId, Name}
+  async addFanqieCategories(categoryV2) {
+    let categories = categoryV2 || [];
+    if (typeof categories === 'string') {
+      try {
+        categories = JSON.parse(categories);
+      } catch (error) {
+        console.warn(`Invalid category_v2: ${error.message}`);
+        return;
+      }
+    }
+    await this.addSubject((Array.isArray(categories) ? categories : [])
+      .map(category => typeof category === 'string' ? category : category?.Name)
+      .filter(Boolean));
+  }
+
+  // Extra identifier next to the unique one, e.g. addIdentifier('9787020002207', { scheme: 'ISBN' })
+  async addIdentifier(value, options = {}) {
+    await this.addInfo('identifier', value, options);
+  }
+
+  // Series name and position, written as belongs-to-collection plus calibre's series metadata
+  async setSeries(name, index = undefined) {
+    await this.setInfo('series', name, index === undefined || index === null ? {} : {
+      index
     });
   }
 
+  // Fixed last-modified date, defaults to the time the book is packaged
+  async setModified(date) {
+    await this.setInfo('modified', date instanceof Date ? this._formatDate(date) : date);
+  }
+
+  static _metadataKey(key) {
+    // dc:author and dc:generator do not exist
+    return key === 'author' ? 'creator' : key;
+  }
+
+  // Accept EPUB2 attribute names (opf:role, opf:file-as, opf:scheme, xml:lang) as well
+  static _normalizeMetadataOptions(options = {}) {
+    const aliases = {
+      'opf:role': 'role',
+      'opf:file-as': 'fileAs',
+      'file-as': 'fileAs',
+      'display-seq': 'displaySeq',
+      'opf:scheme': 'scheme',
+      'identifier-type': 'scheme',
+      'title-type': 'titleType',
+      'xml:lang': 'lang'
+    };
+    const normalized = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (value === undefined || value === null || value === '') continue;
+      normalized[aliases[key] || key] = value;
+    }
+    return normalized;
+  }
+
   async cover(input) {
     if (typeof input === 'string') {
       // It's a URL, fetch it
       try {
-        const response = await fetch(input);
-        if (!response.ok) {
-          throw new Error(`Failed to fetch cover: ${response.statusText}`);
-        }
-        this.coverBuffer = await response.arrayBuffer();
-
-        // Determine extension from content type or URL
-        const contentType = response.headers.get('content-type');
-        if (contentType) {
-          if (contentType.includes('jpeg') || contentType.includes('jpg')) {
-            this.coverExtension = 'jpg';
-          } else if (contentType.includes('png')) {
-            this.coverExtension = 'png';
-          } else if (contentType.includes('gif')) {
-            this.coverExtension = 'gif';
-          } else {
-            this.coverExtension = 'jpg'; // default
-          }
-        } else {
-          // Try to determine from URL
-          const ext = input.split('.').pop().toLowerCase();
-          this.coverExtension = ['jpg', 'jpeg', 'png', 'gif'].includes(ext) ? ext : 'jpg';
+        const { buffer, contentType } = await this._fetchAsset(input);
+        const sniffed = EpubSaver._sniffImage(buffer);
+        if (!sniffed && contentType && !contentType.startsWith('image/')) {
+          throw new Error(`Not an image: ${contentType}`);
         }
+        const image = await this._processImage(buffer, sniffed ? sniffed.extension : EpubSaver._imageExtension(contentType, input));
+        this.coverBuffer = image.buffer;
+        this.coverExtension = image.extension;
+        this.coverGenerated = false;
       } catch (error) {
+        this._recordAssetFailure(input, 'cover', error);
+        if (this.options.autoCover) {
+          console.warn(`Failed to fetch cover image, generating one instead: ${error.message}`);
+          this.coverBuffer = null;
+          return;
+        }
         throw new Error(`Failed to fetch cover image: ${error.message}`);
       }
     } else {
       // It's a buffer
-      this.coverBuffer = input;
-      this.coverExtension = 'jpg'; // default, could be enhanced to detect type
+      const sniffed = EpubSaver._sniffImage(input);
+      const image = await this._processImage(input, sniffed ? sniffed.extension : 'jpg');
+      this.coverBuffer = image.buffer;
+      this.coverExtension = image.extension;
+      this.coverGenerated = false;
+    }
+  }
+
+  // Typographic SVG cover built from title, creator and series metadata
+  generateCover() {
+    const title = this.getInfo('title') || 'Untitled Book';
+    const creator = this.getInfo('creator') || '';
+    const series = this.getInfo('series') || '';
+    const width = 600;
+    const height = 800;
+
+    // Pick a stable background color from the title
+    const palette = ['#2f4858', '#33658a', '#6b4226', '#4a5d23', '#5b3256', '#7a2e2e', '#2e4a62', '#3d3d3d'];
+    const hash = EpubSaver._sha1(title);
+    const background = palette[hash[0] % palette.length];
+
+    // Greedy line wrapping, CJK characters count as one em and others as about half
+    const wrap = (text, fontSize, maxWidth) => {
+      const lines = [];
+      let line = '';
+      let lineWidth = 0;
+      for (const token of text.match(/[\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]|[^\s\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]+|\s+/g) || []) {
+        const tokenWidth = Array.from(token).reduce((sum, char) =>
+          sum + (/[\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/.test(char) ? 1 : 0.55), 0) * fontSize;
+        if (lineWidth + tokenWidth > maxWidth && line.trim()) {
+          lines.push(line.trim());
+          line = '';
+          lineWidth = 0;
+        }
+        if (!line && /^\s+$/.test(token)) continue;
+        line += token;
+        lineWidth += tokenWidth;
+      }
+      if (line.trim()) lines.push(line.trim());
+      return lines;
+    };
+
+    let titleSize = 64;
+    let titleLines = wrap(title, titleSize, width - 120);
+    while (titleLines.length > 4 && titleSize > 32) {
+      titleSize -= 8;
+      titleLines = wrap(title, titleSize, width - 120);
+    }
+
+    const lineHeight = Math.round(titleSize * 1.3);
+    const titleTop = 300 - Math.round((titleLines.length - 1) * lineHeight / 2);
+    const titleText = titleLines.map((line, i) =>
+      `        <text x="${width / 2}" y="${titleTop + i * lineHeight}" font-size="${titleSize}" font-weight="bold">${EpubSaver._escapeXml(line)}</text>`
+    ).join('\n');
+    const seriesText = series ?
+      `        <text x="${width / 2}" y="140" font-size="28" opacity="0.8">${EpubSaver._escapeXml(series)}</text>\n` : '';
+    const creatorText = creator ?
+      `        <text x="${width / 2}" y="${height - 120}" font-size="32">${EpubSaver._escapeXml(creator)}</text>\n` : '';
+
+    const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <rect width="${width}" height="${height}" fill="${background}"/>
+    <rect x="30" y="30" width="${width - 60}" height="${height - 60}" fill="none" stroke="#ffffff" stroke-opacity="0.6" stroke-width="3"/>
+    <line x1="150" y1="${height - 200}" x2="${width - 150}" y2="${height - 200}" stroke="#ffffff" stroke-opacity="0.6" stroke-width="2"/>
+    <g fill="#ffffff" text-anchor="middle" font-family="serif">
+${seriesText}${titleText}
+${creatorText}    </g>
+</svg>`;
+
+    this.coverBuffer = new TextEncoder().encode(svg).buffer;
+    this.coverExtension = 'svg';
+    this.coverGenerated = true;
+    return this.coverBuffer;
+  }
+
+  static _escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  // Detect the image format from its magic bytes, returns {extension, mediaType} or null
+  static _sniffImage(buffer) {
+    const bytes = EpubSaver._toBytes(buffer);
+    const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) {
+      return { extension: 'jpg', mediaType: 'image/jpeg' };
+    }
+    if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') {
+      return { extension: 'png', mediaType: 'image/png' };
+    }
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+      return { extension: 'gif', mediaType: 'image/gif' };
+    }
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+      return { extension: 'webp', mediaType: 'image/webp' };
+    }
+    if (ascii(4, 4) === 'ftyp') {
+      // ISO BMFF: major brand plus the compatible brands up to the end of the ftyp box
+      const boxSize = new DataView(bytes.buffer, bytes.byteOffset, Math.min(bytes.byteLength, 4)).getUint32(0);
+      for (let offset = 8; offset + 4 <= Math.min(boxSize, bytes.length, 64); offset += 4) {
+        if (offset === 12) continue; // minor version
+        if (['avif', 'avis'].includes(ascii(offset, 4))) {
+          return { extension: 'avif', mediaType: 'image/avif' };
+        }
+      }
+      return null;
+    }
+
+    const head = new TextDecoder().decode(bytes.subarray(0, 1024)).replace(/^\uFEFF/, '').trimStart();
+    if ((head.startsWith('<?xml') || head.startsWith('<!--') || head.startsWith('<svg') || head.startsWith('<!DOCTYPE svg')) &&
+      head.includes('<svg')) {
+      return { extension: 'svg', mediaType: 'image/svg+xml' };
+    }
+    return null;
+  }
+
+  // Fallback when the data itself is not recognized
+  static _imageExtension(contentType, url) {
+    if (contentType) {
+      if (contentType.includes('png')) return 'png';
+      if (contentType.includes('gif')) return 'gif';
+      if (contentType.includes('webp')) return 'webp';
+      if (contentType.includes('svg')) return 'svg';
+      if (contentType.includes('avif')) return 'avif';
+      if (contentType.includes('jpeg') || contentType.includes('jpg')) return 'jpg';
+    }
+    const urlExt = (url || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'avif'].includes(urlExt) ? urlExt : 'jpg';
+  }
+
+  static _imageMediaType(extension) {
+    return {
+      jpg: 'image/jpeg',
+      jpeg: 'image/jpeg',
+      png: 'image/png',
+      gif: 'image/gif',
+      webp: 'image/webp',
+      svg: 'image/svg+xml',
+      avif: 'image/avif'
+    }[extension] || 'image/jpeg';
+  }
+
+  // Pixel size of a JPEG, PNG, GIF, WebP or SVG image, {width, height} or null
+  static _imageSize(buffer) {
+    const bytes = EpubSaver._toBytes(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+    const size = (width, height) => width > 0 && height > 0 ? { width, height } : null;
+
+    try {
+      if (ascii(1, 3) === 'PNG') return size(view.getUint32(16), view.getUint32(20));
+      if (ascii(0, 3) === 'GIF') return size(view.getUint16(6, true), view.getUint16(8, true));
+      if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+        const chunk = ascii(12, 4);
+        if (chunk === 'VP8 ') return size(view.getUint16(26, true) & 0x3FFF, view.getUint16(28, true) & 0x3FFF);
+        if (chunk === 'VP8L') {
+          return size(1 + (((bytes[22] & 0x3F) << 8) | bytes[21]),
+            1 + (((bytes[24] & 0x0F) << 10) | (bytes[23] << 2) | ((bytes[22] & 0xC0) >> 6)));
+        }
+        if (chunk === 'VP8X') {
+          return size(1 + (bytes[24] | bytes[25] << 8 | bytes[26] << 16), 1 + (bytes[27] | bytes[28] << 8 | bytes[29] << 16));
+        }
+        return null;
+      }
+      if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        // Walk the segments up to the first start-of-frame marker
+        let offset = 2;
+        while (offset + 9 < bytes.length && bytes[offset] === 0xFF) {
+          const marker = bytes[offset + 1];
+          if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return size(view.getUint16(offset + 7), view.getUint16(offset + 5));
+          }
+          offset += 2 + view.getUint16(offset + 2);
+        }
+        return null;
+      }
+      const text = new TextDecoder().decode(bytes.subarray(0, 4096));
+      const svg = text.match(/<svg\b[^>]*>/);
+      if (svg) {
+        const attribute = name => parseFloat((svg[0].match(new RegExp(`\\s${name}="([^"]*)"`)) || [])[1]);
+        const viewBox = ((svg[0].match(/viewBox="([^"]*)"/) || [])[1] || '').split(/[\s,]+/).map(Number);
+        return size(Math.round(attribute('width') || viewBox[2]), Math.round(attribute('height') || viewBox[3]));
+      }
+    } catch (error) {
+      // Truncated image
+    }
+    return null;
+  }
+
+  // Detect the font format from its magic bytes, returns {extension, mediaType} or null
+  static _sniffFont(buffer) {
+    const bytes = EpubSaver._toBytes(buffer);
+    const signature = String.fromCharCode(...bytes.subarray(0, 4));
+    if (signature === 'wOFF') return { extension: 'woff', mediaType: 'font/woff' };
+    if (signature === 'wOF2') return { extension: 'woff2', mediaType: 'font/woff2' };
+    if (signature === 'OTTO') return { extension: 'otf', mediaType: 'font/otf' };
+    if (signature === '\x00\x01\x00\x00' || signature === 'true') return { extension: 'ttf', mediaType: 'font/ttf' };
+    if (signature === 'ttcf') return { extension: 'ttc', mediaType: 'font/collection' };
+    return null;
+  }
+
+  // Detect the audio format from its magic bytes, returns {extension, mediaType} or null
+  static _sniffAudio(buffer) {
+    const bytes = EpubSaver._toBytes(buffer);
+    const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+    if (ascii(0, 3) === 'ID3' || (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0)) {
+      return { extension: 'mp3', mediaType: 'audio/mpeg' };
+    }
+    if (ascii(4, 4) === 'ftyp') return { extension: 'm4a', mediaType: 'audio/mp4' };
+    if (ascii(0, 4) === 'OggS') return { extension: 'ogg', mediaType: 'audio/ogg' };
+    return null;
+  }
+
+  // Duration in seconds from the MP4 movie header or the MP3 frame headers, null when unknown
+  static _audioDuration(buffer) {
+    const bytes = EpubSaver._toBytes(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+    if (ascii(4, 4) === 'ftyp') {
+      for (let i = 0; i + 32 < bytes.length; i++) {
+        if (bytes[i] !== 0x6D || ascii(i, 4) !== 'mvhd') continue;
+        if (bytes[i + 4] === 1) {
+          const timescale = view.getUint32(i + 24);
+          return timescale ? Number(view.getBigUint64(i + 28)) / timescale : null;
+        }
+        const timescale = view.getUint32(i + 16);
+        return timescale ? view.getUint32(i + 20) / timescale : null;
+      }
+      return null;
+    }
+
+    // Skip an ID3v2 tag, its size is stored as a syncsafe integer
+    let offset = 0;
+    if (ascii(0, 3) === 'ID3' && bytes.length > 10) {
+      offset = 10 + ((bytes[6] & 0x7F) << 21 | (bytes[7] & 0x7F) << 14 | (bytes[8] & 0x7F) << 7 | (bytes[9] & 0x7F));
+      if (bytes[5] & 0x10) offset += 10;
+    }
+    while (offset + 4 < bytes.length && !(bytes[offset] === 0xFF && (bytes[offset + 1] & 0xE0) === 0xE0)) offset++;
+    if (offset + 4 >= bytes.length) return null;
+
+    // MPEG audio layer III frame header
+    const version = (bytes[offset + 1] >> 3) & 3; // 3: MPEG-1, 2: MPEG-2, 0: MPEG-2.5
+    const layer = (bytes[offset + 1] >> 1) & 3;
+    if (layer !== 1 || version === 1) return null;
+    const mpeg1 = version === 3;
+    const bitrate = (mpeg1 ?
+      [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320] :
+      [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160])[bytes[offset + 2] >> 4];
+    const sampleRate = ({
+      3: [44100, 48000, 32000],
+      2: [22050, 24000, 16000],
+      0: [11025, 12000, 8000]
+    })[version][(bytes[offset + 2] >> 2) & 3];
+    if (!bitrate || !sampleRate) return null;
+    const samplesPerFrame = mpeg1 ? 1152 : 576;
+    const mono = (bytes[offset + 3] >> 6) === 3;
+
+    // VBR files carry the frame count in a Xing/Info or VBRI header inside the first frame
+    const xing = offset + 4 + (mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17));
+    if (['Xing', 'Info'].includes(ascii(xing, 4)) && (view.getUint32(xing + 4) & 1)) {
+      return view.getUint32(xing + 8) * samplesPerFrame / sampleRate;
+    }
+    if (ascii(offset + 36, 4) === 'VBRI') {
+      return view.getUint32(offset + 36 + 14) * samplesPerFrame / sampleRate;
+    }
+    return (bytes.length - offset) * 8 / (bitrate * 1000);
+  }
+
+  // SMIL clock value, h:mm:ss.fff
+  static _formatClock(seconds) {
+    const milliseconds = Math.round(Math.max(0, seconds) * 1000);
+    const hours = Math.floor(milliseconds / 3600000);
+    const minutes = Math.floor(milliseconds / 60000) % 60;
+    const secs = (milliseconds % 60000) / 1000;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${secs.toFixed(3).padStart(6, '0')}`;
+  }
+
+  // IDPF: XOR the first 1040 bytes with the SHA-1 of the unique identifier without whitespace.
+  // Adobe: XOR the first 1024 bytes with the 16 bytes of the UUID. Both are their own inverse.
+  static _obfuscateFont(buffer, identifier, algorithm = 'idpf') {
+    const bytes = EpubSaver._toBytes(buffer).slice();
+    let key;
+    let length;
+    if (algorithm === 'adobe') {
+      const hex = String(identifier).replace(/^urn:uuid:/i, '').replace(/[^0-9a-fA-F]/g, '');
+      if (hex.length !== 32) {
+        throw new Error('Adobe font obfuscation needs a UUID book identifier');
+      }
+      key = Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+      length = 1024;
+    } else {
+      key = EpubSaver._sha1(String(identifier).replace(/[\u0020\u0009\u000d\u000a]/g, ''));
+      length = 1040;
     }
+    for (let i = 0; i < Math.min(length, bytes.length); i++) {
+      bytes[i] ^= key[i % key.length];
+    }
+    return bytes;
   }
 
   async addVolume(idx, title, options = {}) {
     const volume = new EpubVolume(idx, title, this, options);
     this.volumes.set(idx, volume);
+    this._emit('volumeAdded', {
+      volIdx: idx,
+      volume
+    });
     return volume;
   }
 
+  // Sub-volumes of the removed volume move up to its parent
+  removeVolume(idx) {
+    const volume = this.volumes.get(idx);
+    if (!volume) return null;
+    const parent = this._parentVolume(volume);
+    for (const child of this.volumes.values()) {
+      if (child !== volume && child.options.parent === idx) child.options.parent = parent;
+    }
+    this.volumes.delete(idx);
+    this._emit('volumeRemoved', {
+      volIdx: idx,
+      volume
+    });
+    return volume;
+  }
+
+  // Volumes in reading order, parents before their sub-volumes, as [idx, volume]
+  orderedVolumes() {
+    return this._volumesInOrder();
+  }
+
+  // Every chapter in reading order as {volIdx, volume, chapIdx, chapter}
+  *chapters() {
+    for (const [volIdx, volume] of this._volumesInOrder()) {
+      for (const [chapIdx, chapter] of volume.orderedChapters()) {
+        yield { volIdx, volume, chapIdx, chapter };
+      }
+    }
+  }
+
+  // Change events for editors: 'volumeAdded', 'volumeRemoved', 'chapterAdded', 'chapterReplaced', 'chapterRemoved',
+  // 'chapterMoved', and 'change' for all of them. The listener gets {type, volIdx, volume, chapIdx, chapter, ...}.
+  // Returns a function that removes the listener.
+  on(type, listener) {
+    if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+    this._listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    this._listeners.get(type)?.delete(listener);
+  }
+
+  _emit(type, detail) {
+    const event = {
+      type,
+      ...detail
+    };
+    for (const name of [type, 'change']) {
+      for (const listener of this._listeners.get(name) || []) {
+        listener(event);
+      }
+    }
+  }
+
+  // Hooks change the book while it is built; handlers run one after the other in registration order, may be async
+  // and get (value, context). Returning something other than undefined replaces the value for the next handler.
+  //   beforeAddChapter(chapter, {saver, volume, idx})   chapter: {title, content, type, ...the addChapter options}
+  //   transformChapterDom(doc, {saver, chapter, volIdx, chapIdx, path})   XML Document of a chapter
+  //   afterGenerateXhtml(xhtml, {saver, path})   every XHTML file as it is written
+  //   beforeManifest(extras, {saver, addDocument, addResource})   extra files joining manifest, spine and TOC
+  //   beforeZip(entries, {saver, archive})   [{path, data: () => content, compression}] in ZIP order
+  // Returns a function that removes the handler.
+  hook(name, handler) {
+    if (!EpubSaver._hookNames.includes(name)) {
+      throw new Error(`Unknown hook "${name}", expected one of ${EpubSaver._hookNames.join(', ')}`);
+    }
+    if (!this._hooks.has(name)) this._hooks.set(name, []);
+    this._hooks.get(name).push(handler);
+    return () => {
+      const handlers = this._hooks.get(name);
+      if (handlers.includes(handler)) handlers.splice(handlers.indexOf(handler), 1);
+    };
+  }
+
+  // A plugin is a function (saver) => void, or an object with handlers named after hooks and an optional setup(saver)
+  use(plugin) {
+    if (typeof plugin === 'function') {
+      plugin(this);
+      return this;
+    }
+    if (typeof plugin.setup === 'function') plugin.setup(this);
+    for (const name of EpubSaver._hookNames) {
+      if (typeof plugin[name] === 'function') this.hook(name, plugin[name].bind(plugin));
+    }
+    return this;
+  }
+
+  _hasHooks(name) {
+    return (this._hooks.get(name) || []).length > 0;
+  }
+
+  async _runHook(name, value, context = {}) {
+    // A copy, so handlers may remove themselves while running
+    for (const handler of [...(this._hooks.get(name) || [])]) {
+      const result = await handler(value, {
+        saver: this,
+        ...context
+      });
+      if (result !== undefined) value = result;
+    }
+    return value;
+  }
+
   async addCSS(idx, content, mappath) {
     if (this.cssFiles.has(idx) && mappath && this.cssFiles.get(idx).mappath !== mappath) {
       throw new Error(`CSS index ${idx} already exists with different mappath`);
@@ -182,28 +992,156 @@ class EpubSaver {
         console.warn(`CSS conflict detected, renamed ${normalizedOriginal} to ${finalPath}`);
       }
 
-      // Store the mapping for reference updates
-      this.cssPathMapping.set(originalPath, `../Styles/${finalPath}`);
-
       if (typeof urlOrContent === 'string' && urlOrContent.startsWith('http')) {
         // It's a URL, fetch it
         try {
-          const response = await fetch(urlOrContent);
-          if (!response.ok) {
-            throw new Error(`Failed to fetch CSS from ${urlOrContent}: ${response.statusText}`);
-          }
-          const content = await response.text();
-          this.cssMap.set(finalPath, content);
+          const { buffer } = await this._fetchAsset(urlOrContent);
+          this.cssMap.set(finalPath, new TextDecoder().decode(buffer));
+          this.cssPathMapping.set(originalPath, `../Styles/${finalPath}`);
         } catch (error) {
-          throw new Error(`Failed to fetch CSS: ${error.message}`);
+          this._recordAssetFailure(urlOrContent, 'css', error);
+          const policy = this.options.assets.onFailure;
+          if (policy === 'placeholder') {
+            this.cssMap.set(finalPath, `/* Failed to download ${urlOrContent} */\n`);
+            this.cssPathMapping.set(originalPath, `../Styles/${finalPath}`);
+          } else if (policy === 'keep') {
+            this.cssPathMapping.set(originalPath, urlOrContent);
+          }
+          // 'drop': unmapped links are removed by _processCSSLinksInContent
         }
       } else {
+        // Store the mapping for reference updates
+        this.cssPathMapping.set(originalPath, `../Styles/${finalPath}`);
         // It's content
         this.cssMap.set(finalPath, urlOrContent);
       }
     }
   }
 
+  // Embed a TTF/OTF/WOFF/WOFF2 font (buffer or URL) and declare it with @font-face in style0.css.
+  // options: {weight, style, apply (selector using the font), obfuscate (true | 'idpf' | 'adobe'), subset}
+  async addFont(name, input, options = {}) {
+    let buffer = input;
+    if (typeof input === 'string') {
+      try {
+        buffer = (await this._fetchAsset(input)).buffer;
+      } catch (error) {
+        this._recordAssetFailure(input, 'font', error);
+        throw new Error(`Failed to fetch font ${name}: ${error.message}`);
+      }
+    }
+
+    const format = EpubSaver._sniffFont(buffer);
+    if (!format) {
+      throw new Error(`Unsupported font format for ${name}, expected TTF, OTF, WOFF or WOFF2`);
+    }
+
+    const filename = `font${this.fonts.size}.${format.extension}`;
+    this.fonts.set(filename, {
+      name,
+      buffer,
+      mediaType: format.mediaType,
+      weight: options.weight || 'normal',
+      style: options.style || 'normal',
+      apply: options.apply || null,
+      obfuscate: options.obfuscate === true ? 'idpf' : (options.obfuscate || false),
+      subset: options.subset || false,
+      fontFace: true
+    });
+
+    // @font-face rules live in the global stylesheet
+    if (!this.cssFiles.has(0)) {
+      await this.addCSS(0, '');
+    }
+    return filename;
+  }
+
+  // Rules the library adds in front of the global stylesheet
+  _generatedCss() {
+    let css = this._fontFaceCss();
+    const hasAudio = Array.from(this.volumes.values())
+      .some(volume => Array.from(volume.chapters.values()).some(chapter => chapter.audio));
+    if (hasAudio) {
+      css += `.-epub-media-overlay-active {
+    background-color: #fff3b0;
+}
+`;
+    }
+    return css;
+  }
+
+  _fontFaceCss() {
+    let css = '';
+    for (const [filename, font] of this.fonts) {
+      if (!font.fontFace) continue;
+      const family = font.name.replace(/["\\]/g, '');
+      css += `@font-face {
+    font-family: "${family}";
+    src: url("../Fonts/${filename}");
+    font-weight: ${font.weight};
+    font-style: ${font.style};
+}
+`;
+      if (font.apply) {
+        css += `${font.apply} {
+    font-family: "${family}";
+}
+`;
+      }
+    }
+    return css;
+  }
+
+  // Font data as written to the package: subset first, then obfuscated with the unique identifier
+  async _fontData(font, obfuscate = true) {
+    let buffer = font.buffer;
+    if (font.subset && this.options.fontSubsetter) {
+      buffer = await this.options.fontSubsetter(buffer, this._collectText(), font);
+    }
+    if (font.obfuscate && obfuscate) {
+      buffer = EpubSaver._obfuscateFont(buffer, this.getInfo('identifier'), font.obfuscate);
+    }
+    return buffer;
+  }
+
+  // Every distinct character used in the book, passed to the font subsetter
+  _collectText() {
+    const parts = [this.getInfo('title') || '', ...this.getInfo('creator', { all: true })];
+    for (const volume of this.volumes.values()) {
+      parts.push(volume.title);
+      for (const chapter of volume.chapters.values()) {
+        // Typesetting may add punctuation and convert 简繁, the font has to cover the result
+        const content = chapter.type === 'text' ?
+          this._typesetText(chapter.content).map(block => block.text || '').join('') :
+          chapter.content.replace(/<[^>]*>/g, '');
+        parts.push(chapter.title, content, ...(chapter.notes || []).map(note => note.content));
+      }
+    }
+    return Array.from(new Set(Array.from(parts.join('')))).join('');
+  }
+
+  _generateEncryptionXml() {
+    const algorithms = {
+      idpf: 'http://www.idpf.org/2008/embedding',
+      adobe: 'http://ns.adobe.com/pdf/enc#RC'
+    };
+    let encryptedData = '';
+    for (const [filename, font] of this.fonts) {
+      if (!font.obfuscate) continue;
+      encryptedData += `    <enc:EncryptedData>
+        <enc:EncryptionMethod Algorithm="${algorithms[font.obfuscate]}"/>
+        <enc:CipherData>
+            <enc:CipherReference URI="OEBPS/Fonts/${filename}"/>
+        </enc:CipherData>
+    </enc:EncryptedData>
+`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container" xmlns:enc="http://www.w3.org/2001/04/xmlenc#">
+${encryptedData}</encryption>`;
+  }
+
   async _processCSSLinksInContent(content) {
     if (typeof content !== 'string') return content;
 
@@ -217,7 +1155,7 @@ class EpubSaver {
     }
 
     try {
-      const parser = new DOMParser();
+      const parser = new this.env.DOMParser();
       let doc;
 
       // Try to parse as HTML first
@@ -250,7 +1188,9 @@ class EpubSaver {
 
       // Return updated content
       if (decodedContent.includes('<html') || decodedContent.includes('<!DOCTYPE')) {
-        const serializer = new XMLSerializer();
+        const serializer = new this.env.XMLSerializer();
+        // An xmlns attribute kept by the HTML parser would be written next to the serializer's own
+        doc.documentElement.removeAttribute('xmlns');
         return serializer.serializeToString(doc.documentElement);
       } else {
         // Extract just the body content for fragments
@@ -278,7 +1218,7 @@ class EpubSaver {
     }
 
     try {
-      const parser = new DOMParser();
+      const parser = new this.env.DOMParser();
       let doc;
 
       // Try to parse as HTML first
@@ -290,98 +1230,425 @@ class EpubSaver {
         doc = parser.parseFromString(wrapped, 'text/html');
       }
 
-      const images = doc.querySelectorAll('img[src]');
-      let imageCounter = this.images.size;
+      const images = Array.from(doc.querySelectorAll('img[src]'))
+        // Only process external URLs (http/https)
+        .filter(img => /^https?:\/\//.test(img.getAttribute('src')));
 
-      for (const img of images) {
+      // Downloads run in parallel, bounded by the global concurrency cap in _fetchAsset
+      await Promise.all(images.map(async img => {
         const src = img.getAttribute('src');
+        const filename = await this._downloadImage(src);
+        if (filename) {
+          // Update img src to point to local file
+          img.setAttribute('src', `../Images/${filename}`);
+          return;
+        }
 
-        // Only process external URLs (http/https)
-        if (src && (src.startsWith('http://') || src.startsWith('https://'))) {
-          let downloadSuccess = false;
-          let finalUrl = src;
-
-          // Try to upgrade HTTP to HTTPS to prevent mixed content errors
-          if (src.startsWith('http://')) {
-            const httpsUrl = src.replace('http://', 'https://');
-            try {
-              console.log(`Trying HTTPS upgrade for: ${src}`);
-              const httpsResponse = await fetch(httpsUrl);
-              if (httpsResponse.ok) {
-                console.warn(`Successfully upgraded HTTP to HTTPS: ${src} -> ${httpsUrl}`);
-                finalUrl = httpsUrl;
-              }
-            } catch (error) {
-              // HTTPS failed, will try original HTTP URL
-              console.log(`HTTPS upgrade failed for ${src}, trying original URL`);
-            }
-          }
-
-          // Try downloading the image
-          try {
-            console.log(`Downloading image: ${finalUrl}`);
-            const response = await fetch(finalUrl);
-            if (!response.ok) {
-              throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+        const policy = this.options.assets.onFailure;
+        if (policy === 'placeholder') {
+          img.setAttribute('src', `../Images/${this._placeholderImage()}`);
+          img.setAttribute('data-original-src', src);
+        } else if (policy === 'drop') {
+          console.warn(`Removing failed image tag: ${src}`);
+          img.remove();
+        }
+        // 'keep': leave the remote URL in place
+      }));
 
-            const buffer = await response.arrayBuffer();
+      // Return updated content
+      if (decodedContent.includes('<html') || decodedContent.includes('<!DOCTYPE')) {
+        const serializer = new this.env.XMLSerializer();
+        // An xmlns attribute kept by the HTML parser would be written next to the serializer's own
+        doc.documentElement.removeAttribute('xmlns');
+        return serializer.serializeToString(doc.documentElement);
+      } else {
+        // Extract just the body content for fragments
+        return doc.body.innerHTML;
+      }
 
-            // Determine file extension
-            let extension = 'jpg'; // default
-            const contentType = response.headers.get('content-type');
-            if (contentType) {
-              if (contentType.includes('png')) extension = 'png';
-              else if (contentType.includes('gif')) extension = 'gif';
-              else if (contentType.includes('webp')) extension = 'webp';
-              else if (contentType.includes('svg')) extension = 'svg';
-            } else {
-              // Try to get extension from URL
-              const urlExt = finalUrl.split('.').pop().toLowerCase().split('?')[0];
-              if (['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'].includes(urlExt)) {
-                extension = urlExt;
-              }
-            }
+    } catch (error) {
+      console.warn('Error processing images in content:', error);
+      return decodedContent;
+    }
+  }
 
-            // Generate unique filename
-            const filename = `image_${imageCounter++}.${extension}`;
+  // Download an image once per URL and once per distinct content, resolves to the filename or null
+  _downloadImage(src) {
+    if (!this._assetRequests.has(src)) {
+      this._assetRequests.set(src, this._downloadImageUncached(src));
+    } else {
+      this.assetReport.reused++;
+    }
+    return this._assetRequests.get(src);
+  }
 
-            // Store image
-            this.images.set(filename, {
-              buffer,
-              extension,
-              originalUrl: src
-            });
+  async _downloadImageUncached(src) {
+    let result = null;
+
+    // Try to upgrade HTTP to HTTPS to prevent mixed content errors
+    if (src.startsWith('http://')) {
+      const httpsUrl = src.replace('http://', 'https://');
+      try {
+        result = await this._fetchAsset(httpsUrl, {
+          retries: 0
+        });
+        console.warn(`Successfully upgraded HTTP to HTTPS: ${src} -> ${httpsUrl}`);
+      } catch (error) {
+        // HTTPS failed, will try original HTTP URL
+        console.log(`HTTPS upgrade failed for ${src}, trying original URL`);
+      }
+    }
 
-            // Update img src to point to local file
-            img.setAttribute('src', `../Images/${filename}`);
-            downloadSuccess = true;
+    try {
+      if (!result) {
+        console.log(`Downloading image: ${src}`);
+        result = await this._fetchAsset(src);
+      }
+    } catch (error) {
+      console.warn(`Failed to download image ${src}:`, error.message);
+      this._recordAssetFailure(src, 'image', error);
+      return null;
+    }
 
-          } catch (error) {
-            console.warn(`Failed to download image ${finalUrl}:`, error.message);
-          }
+    return this._storeImage(result.buffer, result.contentType, src);
+  }
+
+  // Add image data to the package once per distinct content, returns its filename
+  async _storeImage(data, contentType, src) {
+    const hash = EpubSaver._hex(EpubSaver._sha1(data));
+    if (this._imageHashes.has(hash)) {
+      this.assetReport.reused++;
+      return this._imageHashes.get(hash);
+    }
+
+    // Determine file extension from the data, then content type or URL
+    const sniffed = EpubSaver._sniffImage(data);
+    const { buffer, extension } = await this._processImage(data,
+      sniffed ? sniffed.extension : EpubSaver._imageExtension(contentType, src));
+    // A concurrent download of the same data may have finished during the conversion
+    if (this._imageHashes.has(hash)) {
+      this.assetReport.reused++;
+      return this._imageHashes.get(hash);
+    }
+
+    // Generate unique filename; reproducible builds use the content hash, downloads finish in any order
+    let filename = `image_${hash.slice(0, 16)}.${extension}`;
+    if (!this.options.deterministic) {
+      let imageCounter = this.images.size;
+      while (this.images.has(`image_${imageCounter}.${extension}`)) {
+        imageCounter++;
+      }
+      filename = `image_${imageCounter}.${extension}`;
+    }
 
-          // If download failed, remove the img tag entirely
-          if (!downloadSuccess) {
-            console.warn(`Removing failed image tag: ${src}`);
-            img.remove();
+    this.images.set(filename, {
+      buffer,
+      extension,
+      originalUrl: src
+    });
+    this._imageHashes.set(hash, filename);
+    this.assetReport.downloaded++;
+    return filename;
+  }
+
+  // Image stage: downscale, grayscale and re-encode as set in options.images, and turn media types the target
+  // doesn't support into PNG. Runs on env.imageCodec; without one images are kept as they are.
+  async _processImage(buffer, extension) {
+    const settings = this.options.images;
+    const mediaType = EpubSaver._imageMediaType(extension);
+    // Vector images and (possibly animated) GIFs are left alone
+    if (extension === 'svg' || extension === 'gif') {
+      return { buffer, extension };
+    }
+
+    const allowed = EpubSaver._coreImageTypes[this.options.target];
+    let targetType = settings.format ? EpubSaver._imageMediaType(settings.format) : mediaType;
+    if (allowed && !allowed.includes(targetType)) targetType = 'image/png';
+    const size = EpubSaver._imageSize(buffer);
+    const tooLarge = Boolean(settings.maxWidth || settings.maxHeight) &&
+      (!size || size.width > (settings.maxWidth || Infinity) || size.height > (settings.maxHeight || Infinity));
+    const recompress = settings.quality !== undefined && /jpeg|webp/.test(targetType);
+    if (targetType === mediaType && !tooLarge && !settings.grayscale && !recompress) {
+      return { buffer, extension };
+    }
+
+    const codec = this.env.imageCodec;
+    if (!codec) {
+      if (!this._imageCodecWarned) {
+        console.warn('Images are embedded unprocessed: no env.imageCodec (a canvas in browsers, pngjs/jpeg-js on Node.js)');
+        this._imageCodecWarned = true;
+      }
+      return { buffer, extension };
+    }
+
+    try {
+      let image = await codec.decode(buffer, mediaType);
+      const scale = Math.min(1, (settings.maxWidth || Infinity) / image.width, (settings.maxHeight || Infinity) / image.height);
+      if (scale < 1) {
+        image = EpubSaver._resizeRgba(image, Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+      }
+      if (settings.grayscale) EpubSaver._grayscaleRgba(image);
+      // JPEG has no alpha channel, transparent areas become white instead of black
+      if (targetType === 'image/jpeg') EpubSaver._flattenRgba(image);
+
+      const output = EpubSaver._toBytes(await codec.encode(image, targetType, settings.quality ?? 0.85));
+      const input = EpubSaver._toBytes(buffer);
+      // A plain recompression that came out larger isn't worth it
+      if (targetType === mediaType && scale === 1 && !settings.grayscale && output.byteLength >= input.byteLength) {
+        return { buffer, extension };
+      }
+      this.assetReport.optimized.images++;
+      this.assetReport.optimized.before += input.byteLength;
+      this.assetReport.optimized.after += output.byteLength;
+      return {
+        buffer: output,
+        extension: EpubSaver._imageExtension(targetType)
+      };
+    } catch (error) {
+      console.warn(`Failed to process ${mediaType} image, keeping it: ${error.message}`);
+      return { buffer, extension };
+    }
+  }
+
+  // Area-averaging downscale of RGBA pixels {width, height, data}, colours weighted by alpha
+  static _resizeRgba(image, width, height) {
+    // Source pixels [start, end) covered by each target pixel along one axis
+    const spans = (from, to) => Array.from({ length: to }, (_, i) => {
+      const start = Math.floor(i * from / to);
+      return [start, Math.max(start + 1, Math.floor((i + 1) * from / to))];
+    });
+    const xSpans = spans(image.width, width);
+    const ySpans = spans(image.height, height);
+    const source = image.data;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+      const [y0, y1] = ySpans[y];
+      for (let x = 0; x < width; x++) {
+        const [x0, x1] = xSpans[x];
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let sy = y0; sy < y1; sy++) {
+          for (let sx = x0; sx < x1; sx++) {
+            const i = (sy * image.width + sx) * 4;
+            const alpha = source[i + 3];
+            r += source[i] * alpha;
+            g += source[i + 1] * alpha;
+            b += source[i + 2] * alpha;
+            a += alpha;
           }
         }
+        const o = (y * width + x) * 4;
+        if (a > 0) {
+          data[o] = r / a;
+          data[o + 1] = g / a;
+          data[o + 2] = b / a;
+        }
+        data[o + 3] = a / ((x1 - x0) * (y1 - y0));
       }
+    }
+    return { width, height, data };
+  }
 
-      // Return updated content
-      if (decodedContent.includes('<html') || decodedContent.includes('<!DOCTYPE')) {
-        const serializer = new XMLSerializer();
-        return serializer.serializeToString(doc.documentElement);
-      } else {
-        // Extract just the body content for fragments
-        return doc.body.innerHTML;
+  static _grayscaleRgba(image) {
+    const data = image.data;
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = data[i + 1] = data[i + 2] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+  }
+
+  static _flattenRgba(image, background = 255) {
+    const data = image.data;
+    for (let i = 0; i < data.length; i += 4) {
+      const alpha = data[i + 3] / 255;
+      for (let c = i; c < i + 3; c++) data[c] = data[c] * alpha + background * (1 - alpha);
+      data[i + 3] = 255;
+    }
+  }
+
+  _placeholderImage() {
+    const filename = 'placeholder.svg';
+    if (!this.images.has(filename)) {
+      const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200" viewBox="0 0 300 200">
+    <rect width="300" height="200" fill="#eeeeee" stroke="#cccccc" stroke-width="2"/>
+    <path d="M110 130 L140 95 L160 115 L175 100 L195 130 Z" fill="#bbbbbb"/>
+    <circle cx="125" cy="80" r="10" fill="#bbbbbb"/>
+</svg>`;
+      this.images.set(filename, {
+        buffer: new TextEncoder().encode(svg).buffer,
+        extension: 'svg',
+        originalUrl: null
+      });
+    }
+    return filename;
+  }
+
+  // Images in package order; for reproducible builds by name, as downloads finish in any order
+  _imagesInOrder() {
+    const images = Array.from(this.images.entries());
+    return this.options.deterministic ? images.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)) : images;
+  }
+
+  _recordAssetFailure(url, kind, error) {
+    this.assetReport.failed.push({
+      url,
+      kind,
+      error: error.message
+    });
+  }
+
+  // Fetch with timeout, retries with exponential backoff and the global concurrency cap
+  async _fetchAsset(url, overrides = {}) {
+    const { retries, backoff, timeout } = {
+      ...this.options.assets,
+      ...overrides
+    };
+
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, backoff * 2 ** (attempt - 1)));
+      }
+      try {
+        return await this._withDownloadSlot(async () => {
+          const controller = typeof AbortController === 'function' ? new AbortController() : null;
+          const timer = controller && timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+          try {
+            const response = await this.env.fetch(url, controller ? {
+              signal: controller.signal
+            } : undefined);
+            if (!response.ok) {
+              const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+              // Client errors other than timeouts and rate limits will not go away on retry
+              error.permanent = response.status >= 400 && response.status < 500 &&
+                response.status !== 408 && response.status !== 429;
+              throw error;
+            }
+            return {
+              buffer: await response.arrayBuffer(),
+              contentType: response.headers.get('content-type')
+            };
+          } catch (error) {
+            if (error.name === 'AbortError') {
+              throw new Error(`Timed out after ${timeout}ms`);
+            }
+            throw error;
+          } finally {
+            if (timer) clearTimeout(timer);
+          }
+        });
+      } catch (error) {
+        lastError = error;
+        if (error.permanent) break;
       }
+    }
+    throw lastError;
+  }
 
-    } catch (error) {
-      console.warn('Error processing images in content:', error);
-      return decodedContent;
+  async _withDownloadSlot(task) {
+    const limit = Math.max(1, this.options.assets.concurrency);
+    if (this._activeDownloads >= limit) {
+      await new Promise(resolve => this._downloadQueue.push(resolve));
+    }
+    this._activeDownloads++;
+    try {
+      return await task();
+    } finally {
+      this._activeDownloads--;
+      const next = this._downloadQueue.shift();
+      if (next) next();
+    }
+  }
+
+  static _toBytes(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof Uint8Array) return data;
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return new Uint8Array(data);
+  }
+
+  static _hex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  static _base64(input) {
+    const bytes = EpubSaver._toBytes(input);
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+      const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+      result += alphabet[n >> 18] + alphabet[(n >> 12) & 63] +
+        (i + 1 < bytes.length ? alphabet[(n >> 6) & 63] : '=') +
+        (i + 2 < bytes.length ? alphabet[n & 63] : '=');
+    }
+    return result;
+  }
+
+  static _sha1(input) {
+    const data = EpubSaver._toBytes(input);
+    const h = new Int32Array([0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0]);
+    const w = new Int32Array(80);
+
+    const processBlock = (block, offset) => {
+      for (let i = 0; i < 16; i++) {
+        const j = offset + i * 4;
+        w[i] = (block[j] << 24) | (block[j + 1] << 16) | (block[j + 2] << 8) | block[j + 3];
+      }
+      for (let i = 16; i < 80; i++) {
+        const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+        w[i] = (x << 1) | (x >>> 31);
+      }
+      let [a, b, c, d, e] = h;
+      for (let i = 0; i < 80; i++) {
+        let f;
+        let k;
+        if (i < 20) {
+          f = (b & c) | (~b & d);
+          k = 0x5A827999;
+        } else if (i < 40) {
+          f = b ^ c ^ d;
+          k = 0x6ED9EBA1;
+        } else if (i < 60) {
+          f = (b & c) | (b & d) | (c & d);
+          k = 0x8F1BBCDC;
+        } else {
+          f = b ^ c ^ d;
+          k = 0xCA62C1D6;
+        }
+        const temp = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) | 0;
+        e = d;
+        d = c;
+        c = (b << 30) | (b >>> 2);
+        b = a;
+        a = temp;
+      }
+      h[0] += a;
+      h[1] += b;
+      h[2] += c;
+      h[3] += d;
+      h[4] += e;
+    };
+
+    const fullBlocks = Math.floor(data.length / 64);
+    for (let i = 0; i < fullBlocks; i++) {
+      processBlock(data, i * 64);
+    }
+
+    // Padding: 0x80, zeros, then the message length in bits as a 64-bit big-endian integer
+    const tailLength = data.length - fullBlocks * 64;
+    const tail = new Uint8Array(tailLength < 56 ? 64 : 128);
+    tail.set(data.subarray(fullBlocks * 64));
+    tail[tailLength] = 0x80;
+    const tailView = new DataView(tail.buffer);
+    tailView.setUint32(tail.length - 8, Math.floor(data.length / 0x20000000));
+    tailView.setUint32(tail.length - 4, (data.length * 8) >>> 0);
+    for (let offset = 0; offset < tail.length; offset += 64) {
+      processBlock(tail, offset);
     }
+
+    const digest = new DataView(new ArrayBuffer(20));
+    h.forEach((value, i) => digest.setInt32(i * 4, value));
+    return new Uint8Array(digest.buffer);
   }
 
   _generateContainer() {
@@ -393,23 +1660,131 @@ class EpubSaver {
 </container>`;
   }
 
-  _generateContentOpf() {
-    const uuid = this.metadata.get('identifier')?.value || crypto.randomUUID();
-    const title = this.metadata.get('title')?.value || 'Untitled Book';
-    const creator = this.metadata.get('creator')?.value || 'Unknown Author';
-    const language = this.metadata.get('language')?.value || 'en';
-    const date = this.metadata.get('date')?.value || moment().format('YYYY-MM-DDTHH:mm:ss[Z]');
-
+  // <metadata> children: Dublin Core elements, their EPUB3 refinements and <meta> for everything else
+  _generateMetadata() {
+    const escape = EpubSaver._escapeXml;
+    const epub2 = this.options.target === 'epub2';
+    const relators = ['aut', 'ill', 'trl', 'edt', 'nrt', 'art', 'pbl', 'bkp', 'ctb', 'cov', 'aui', 'aft'];
+    const counters = {};
     let metadata = '';
-    for (const [key, data] of this.metadata) {
-      const optionsStr = Object.entries(data.options)
-        .map(([k, v]) => `${k}="${v}"`)
-        .join(' ');
-      metadata += `        <dc:${key}${optionsStr ? ' ' + optionsStr : ''}>${data.value}</dc:${key}>\n`;
+    let refines = '';
+
+    const refine = (id, property, value, scheme) => {
+      refines += `        <meta refines="#${id}" property="${property}"${scheme ? ` scheme="${scheme}"` : ''}>${escape(value)}</meta>\n`;
+    };
+
+    for (const [key, entries] of this.metadata) {
+      if (key === 'modified') continue;
+
+      if (key === 'series') {
+        const {
+          value,
+          options
+        } = entries[0];
+        if (!epub2) {
+          metadata += `        <meta property="belongs-to-collection" id="series">${escape(value)}</meta>\n`;
+          refine('series', 'collection-type', 'series');
+          if (options.index !== undefined) refine('series', 'group-position', options.index);
+        }
+        metadata += `        <meta name="calibre:series" content="${escape(value)}"/>\n`;
+        if (options.index !== undefined) {
+          metadata += `        <meta name="calibre:series_index" content="${escape(options.index)}"/>\n`;
+        }
+        continue;
+      }
+
+      if (!EpubSaver._dcElements.includes(key)) {
+        for (const { value } of entries) {
+          metadata += `        <meta name="${escape(key)}" content="${escape(value)}"/>\n`;
+        }
+        continue;
+      }
+
+      for (const [i, { value, options }] of entries.entries()) {
+        if (epub2) {
+          // OPF 2.0 has no refinements, role, file-as and scheme are attributes of the element itself
+          let attributes = key === 'identifier' && i === 0 ? ' id="BookId"' : options.id ? ` id="${options.id}"` : '';
+          if (options.lang) attributes += ` xml:lang="${escape(options.lang)}"`;
+          if (options.role) attributes += ` opf:role="${escape(options.role)}"`;
+          if (options.fileAs) attributes += ` opf:file-as="${escape(options.fileAs)}"`;
+          if (options.scheme) attributes += ` opf:scheme="${escape(options.scheme)}"`;
+          metadata += `        <dc:${key}${attributes}>${escape(value)}</dc:${key}>\n`;
+          continue;
+        }
+
+        let id = '';
+        if (key === 'identifier' && i === 0) {
+          id = 'BookId';
+        } else if (options.id || options.role || options.fileAs || options.displaySeq || options.scheme || options.titleType) {
+          counters[key] = (counters[key] || 0) + 1;
+          id = options.id || `${key}-${counters[key]}`;
+        }
+
+        let attributes = id ? ` id="${id}"` : '';
+        if (options.lang) attributes += ` xml:lang="${escape(options.lang)}"`;
+        if (options.dir) attributes += ` dir="${escape(options.dir)}"`;
+        metadata += `        <dc:${key}${attributes}>${escape(value)}</dc:${key}>\n`;
+
+        if (!id) continue;
+        if (options.role) refine(id, 'role', options.role, relators.includes(options.role) ? 'marc:relators' : null);
+        if (options.fileAs) refine(id, 'file-as', options.fileAs);
+        if (options.displaySeq !== undefined) refine(id, 'display-seq', options.displaySeq);
+        if (options.titleType) refine(id, 'title-type', options.titleType);
+        if (options.scheme) {
+          // ONIX code list 5: 15 is ISBN-13, 02 ISBN-10, 22 URN
+          const onix = {
+            ISBN: String(value).replace(/[^0-9Xx]/g, '').length === 10 ? '02' : '15',
+            URN: '22'
+          }[String(options.scheme).toUpperCase()];
+          if (onix) refine(id, 'identifier-type', onix, 'onix:codelist5');
+          else refine(id, 'identifier-type', options.scheme);
+        }
+      }
     }
 
-    // Add cover reference if cover exists
-    if (this.coverBuffer) {
+    if (!epub2) {
+      const modified = this.getInfo('modified') || this._formatDate(this.env.clock());
+      metadata += `        <meta property="dcterms:modified">${escape(modified)}</meta>\n`;
+    }
+
+    if (this.options.writingMode === 'vertical-rl') {
+      metadata += `        <meta name="primary-writing-mode" content="vertical-rl"/>\n`;
+    }
+
+    // Rendition and media overlay properties are EPUB3 only
+    if (epub2) return metadata;
+
+    if (this.options.layout === 'pre-paginated') {
+      metadata += `        <meta property="rendition:layout">pre-paginated</meta>\n`;
+      metadata += `        <meta property="rendition:spread">${escape(this.options.spread)}</meta>\n`;
+      metadata += `        <meta property="rendition:orientation">auto</meta>\n`;
+    }
+
+    // Media overlay durations, per overlay and for the whole book
+    let totalDuration = 0;
+    for (const [volIdx, volume] of this._volumesInOrder()) {
+      for (const [chapIdx, chapter] of volume.orderedChapters()) {
+        if (!chapter.audio) continue;
+        totalDuration += chapter.audio.duration;
+        refines += `        <meta refines="#mo-${EpubSaver._indexName(volIdx)}-${EpubSaver._indexName(chapIdx)}" property="media:duration">${EpubSaver._formatClock(chapter.audio.duration)}</meta>\n`;
+      }
+    }
+    if (totalDuration > 0) {
+      metadata += `        <meta property="media:duration">${EpubSaver._formatClock(totalDuration)}</meta>\n`;
+      metadata += `        <meta property="media:active-class">-epub-media-overlay-active</meta>\n`;
+    }
+    return metadata + refines;
+  }
+
+  _generateContentOpf(spineDocuments) {
+    const escape = EpubSaver._escapeXml;
+    const target = this.options.target;
+    const epub2 = target === 'epub2';
+
+    let metadata = this._generateMetadata();
+
+    // Add cover reference if cover exists, EPUB3 marks the manifest item instead
+    if (this.coverBuffer && target !== 'epub3') {
       metadata += `        <meta name="cover" content="cover-image" />\n`;
     }
 
@@ -418,43 +1793,39 @@ class EpubSaver {
     let manifestItems = [];
     let spineItems = [];
 
-    // Add navigation files
-    manifest += `        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>\n`;
-    manifest += `        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>\n`;
-    manifestItems.push('ncx', 'nav');
+    // Add navigation files: toc.ncx for EPUB2 reading systems, nav.xhtml for EPUB3
+    if (target !== 'epub3') {
+      manifest += `        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>\n`;
+      manifestItems.push('ncx');
+    }
+    if (!epub2) {
+      manifest += `        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>\n`;
+      manifestItems.push('nav');
+    }
 
     // Add cover
     if (this.coverBuffer) {
-      const mimeType = this.coverExtension === 'png' ? 'image/png' :
-        this.coverExtension === 'gif' ? 'image/gif' : 'image/jpeg';
-      manifest += `        <item id="cover-image" href="Images/cover.${this.coverExtension}" media-type="${mimeType}" properties="cover-image"/>\n`;
-      manifest += `        <item id="cover" href="Text/cover.xhtml" media-type="application/xhtml+xml"/>\n`;
-      manifestItems.push('cover-image', 'cover');
-      spineItems.push('cover');
+      const mimeType = EpubSaver._imageMediaType(this.coverExtension);
+      const properties = epub2 ? '' : ' properties="cover-image"';
+      manifest += `        <item id="cover-image" href="Images/cover.${this.coverExtension}" media-type="${mimeType}"${properties}/>\n`;
+      manifestItems.push('cover-image');
     }
 
     // Add downloaded images
-    for (const [filename, imageData] of this.images) {
-      let mimeType = 'image/jpeg'; // default
-      switch (imageData.extension) {
-        case 'png':
-          mimeType = 'image/png';
-          break;
-        case 'gif':
-          mimeType = 'image/gif';
-          break;
-        case 'webp':
-          mimeType = 'image/webp';
-          break;
-        case 'svg':
-          mimeType = 'image/svg+xml';
-          break;
-      }
+    for (const [filename, imageData] of this._imagesInOrder()) {
+      const mimeType = EpubSaver._imageMediaType(imageData.extension);
       const imageId = `img-${filename.replace(/[^a-zA-Z0-9]/g, '-')}`;
       manifest += `        <item id="${imageId}" href="Images/${filename}" media-type="${mimeType}"/>\n`;
       manifestItems.push(imageId);
     }
 
+    // Add fonts
+    for (const [filename, font] of this.fonts) {
+      const fontId = `font-${filename.replace(/[^a-zA-Z0-9]/g, '-')}`;
+      manifest += `        <item id="${fontId}" href="Fonts/${filename}" media-type="${font.mediaType}"/>\n`;
+      manifestItems.push(fontId);
+    }
+
     // Add CSS files
     for (const [idx, cssData] of this.cssFiles) {
       manifest += `        <item id="css${idx}" href="Styles/style${idx}.css" media-type="text/css"/>\n`;
@@ -468,191 +1839,484 @@ class EpubSaver {
       manifestItems.push(id);
     }
 
-    // Add chapters and volume pages from volumes
-    const sortedVolumes = Array.from(this.volumes.entries()).sort(([a], [b]) => a - b);
-    for (const [volIdx, volume] of sortedVolumes) {
-      // Add volume page if createVolumePage is enabled
-      if (volume.options.createVolumePage) {
-        const volumeId = `volume-page-${volIdx}`;
-        const volumeHref = `Text/volume${volIdx}_index.xhtml`;
-        manifest += `        <item id="${volumeId}" href="${volumeHref}" media-type="application/xhtml+xml"/>\n`;
-        manifestItems.push(volumeId);
-        spineItems.push(volumeId);
-      }
+    // Add files from beforeManifest hooks
+    for (const resource of this._extraFiles.resources) {
+      manifest += `        <item id="${resource.id}" href="${escape(resource.href)}" media-type="${escape(resource.mediaType)}"/>\n`;
+      manifestItems.push(resource.id);
+    }
 
-      // Add chapters
-      const sortedChapters = Array.from(volume.chapters.entries()).sort(([a], [b]) => a - b);
-      for (const [chapIdx, chapter] of sortedChapters) {
-        const id = `chapter-${volIdx}-${chapIdx}`;
-        const href = `Text/volume${volIdx}_chapter${chapIdx}.xhtml`;
-        manifest += `        <item id="${id}" href="${href}" media-type="application/xhtml+xml"/>\n`;
-        manifestItems.push(id);
-        spineItems.push(id);
+    // Add cover page, volume pages, chapters and endnotes in reading order
+    for (const doc of spineDocuments) {
+      const overlay = doc.mediaOverlay && !epub2 ? ` media-overlay="${doc.mediaOverlay}"` : '';
+      manifest += `        <item id="${doc.id}" href="${doc.href}" media-type="application/xhtml+xml"${overlay}/>\n`;
+      manifestItems.push(doc.id);
+      spineItems.push(doc);
+    }
+
+    // Add media overlays and their audio, EPUB2 has no media overlays
+    for (const [volIdx, volume] of this._volumesInOrder()) {
+      for (const [chapIdx, chapter] of volume.orderedChapters()) {
+        if (!chapter.audio || epub2) continue;
+        manifest += `        <item id="mo-${EpubSaver._indexName(volIdx)}-${EpubSaver._indexName(chapIdx)}" href="Text/volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.smil" media-type="application/smil+xml"/>\n`;
+        manifest += `        <item id="audio-${EpubSaver._indexName(volIdx)}-${EpubSaver._indexName(chapIdx)}" href="Audio/volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.${chapter.audio.extension}" media-type="${chapter.audio.mediaType}"/>\n`;
+        manifestItems.push(`mo-${EpubSaver._indexName(volIdx)}-${EpubSaver._indexName(chapIdx)}`, `audio-${EpubSaver._indexName(volIdx)}-${EpubSaver._indexName(chapIdx)}`);
       }
     }
 
-    spine = spineItems.map(id => `        <itemref idref="${id}"/>`).join('\n');
+    // Documents that don't follow the book-wide layout say so on their itemref
+    spine = spineItems.map(doc => {
+      let properties = '';
+      if (this.options.layout === 'pre-paginated' && !doc.fixed) properties = ' properties="rendition:layout-reflowable"';
+      if (this.options.layout !== 'pre-paginated' && doc.fixed) properties = ' properties="rendition:layout-pre-paginated"';
+      const linear = doc.linear === false ? ' linear="no"' : '';
+      return `        <itemref idref="${doc.id}"${linear}${epub2 ? '' : properties}/>`;
+    }).join('\n');
+    let spineAttributes = target !== 'epub3' ? ' toc="ncx"' : '';
+    if (this._pageProgression() && !epub2) {
+      spineAttributes += ` page-progression-direction="${this._pageProgression()}"`;
+    }
+
+    // Guide for reading systems that predate the EPUB3 landmarks nav
+    const landmarks = this._landmarks(spineDocuments);
+    const guideTypes = {
+      cover: 'cover',
+      toc: 'toc',
+      bodymatter: 'text'
+    };
+    const references = landmarks.map(landmark =>
+      `        <reference type="${guideTypes[landmark.type]}" title="${escape(landmark.title)}" href="${escape(landmark.href)}"/>\n`).join('');
+    const guide = target === 'epub3' ? '' : `    <guide>
+${references}    </guide>
+`;
 
     return `<?xml version="1.0" encoding="UTF-8"?>
-<package version="3.0" xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId">
+<package version="${epub2 ? '2.0' : '3.0'}" xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId">
     <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
 ${metadata}    </metadata>
     <manifest>
 ${manifest}    </manifest>
-    <spine toc="ncx">
+    <spine${spineAttributes}>
 ${spine}
     </spine>
-</package>`;
+${guide}</package>`;
+  }
+
+  // Volumes in reading order: depth-first over options.parent, siblings sorted by index
+  _volumesInOrder() {
+    const sorted = Array.from(this.volumes.entries()).sort(([a], [b]) => a - b);
+    const ordered = [];
+    const visited = new Set();
+    const visit = parent => {
+      for (const [volIdx, volume] of sorted) {
+        if (visited.has(volIdx) || this._parentVolume(volume) !== parent) continue;
+        visited.add(volIdx);
+        ordered.push([volIdx, volume]);
+        visit(volIdx);
+      }
+    };
+    visit(null);
+
+    // Volumes caught in a parent cycle still get written
+    for (const entry of sorted) {
+      if (!visited.has(entry[0])) ordered.push(entry);
+    }
+    return ordered;
+  }
+
+  // Volume and chapter indexes from the insert methods can be negative or fractional; file names and ids
+  // spell them with letters only: -1 -> m1, 2.5 -> 2_5. Whole non-negative indexes stay as they are.
+  static _indexName(idx) {
+    let text = String(idx);
+    // Repeated inserts between two neighbours reach indexes that String() writes as 1e-7
+    const exponent = text.match(/^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/);
+    if (exponent) {
+      const [, sign, whole, fraction = '', power] = exponent;
+      const digits = whole + fraction;
+      const point = 1 + Number(power);
+      text = sign + (point <= 0 ? `0.${'0'.repeat(-point)}${digits}` : digits.padEnd(point, '0'));
+    }
+    return text.replace(/-/g, 'm').replace(/\./g, '_');
   }
 
-  _generateTocNcx() {
-    const title = this.metadata.get('title')?.value || 'Untitled Book';
-    const uuid = this.metadata.get('identifier')?.value || crypto.randomUUID();
+  _parentVolume(volume) {
+    const parent = volume.options.parent;
+    return parent !== undefined && parent !== null && parent !== volume.idx && this.volumes.has(parent) ? parent : null;
+  }
 
-    let navPoints = '';
-    let playOrder = 1;
+  // Every XHTML document of the spine, in reading order; notes: from _collectNotes()
+  _spineDocuments(notes) {
+    const documents = [];
+    const noteDocuments = notes.documents;
 
     if (this.coverBuffer) {
-      navPoints += `        <navPoint id="cover" playOrder="${playOrder++}">
-            <navLabel><text>${this._t('cover')}</text></navLabel>
-            <content src="Text/cover.xhtml"/>
-        </navPoint>\n`;
+      documents.push({
+        id: 'cover',
+        href: 'Text/cover.xhtml',
+        fixed: this.options.layout === 'pre-paginated'
+      });
     }
 
-    const sortedVolumes = Array.from(this.volumes.entries()).sort(([a], [b]) => a - b);
-    for (const [volIdx, volume] of sortedVolumes) {
-      if (volume.chapters.size > 1 || volume.options.alwaysShowVolumeTitle) {
-        // Multiple chapters or forced volume display, create volume entry with sub-chapters
-        const volumeLink = volume.options.createVolumePage ?
-          `Text/volume${volIdx}_index.xhtml` :
-          `Text/volume${volIdx}_chapter${Array.from(volume.chapters.keys()).sort((a, b) => a - b)[0]}.xhtml`;
-
-        navPoints += `        <navPoint id="volume-${volIdx}" playOrder="${playOrder++}">
-            <navLabel><text>${volume.title}</text></navLabel>
-            <content src="${volumeLink}"/>
-`;
-        const sortedChapters = Array.from(volume.chapters.entries()).sort(([a], [b]) => a - b);
-        for (const [chapIdx, chapter] of sortedChapters) {
-          navPoints += `            <navPoint id="chapter-${volIdx}-${chapIdx}" playOrder="${playOrder++}">
-                <navLabel><text>${chapter.title}</text></navLabel>
-                <content src="Text/volume${volIdx}_chapter${chapIdx}.xhtml"/>
-            </navPoint>\n`;
+    const extraDocuments = position => this._extraFiles.documents
+      .filter(doc => doc.position === position)
+      .map(doc => ({
+        id: doc.id,
+        href: doc.href,
+        linear: doc.linear
+      }));
+    documents.push(...extraDocuments('start'));
+
+    for (const [volIdx, volume] of this._volumesInOrder()) {
+      if (volume.options.createVolumePage) {
+        documents.push({
+          id: `volume-page-${EpubSaver._indexName(volIdx)}`,
+          href: `Text/volume${EpubSaver._indexName(volIdx)}_index.xhtml`
+        });
+      }
+
+      for (const [chapIdx, chapter] of volume.orderedChapters()) {
+        documents.push({
+          id: `chapter-${EpubSaver._indexName(volIdx)}-${EpubSaver._indexName(chapIdx)}`,
+          href: `Text/volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.xhtml`,
+          chapter: true,
+          fixed: chapter.type === 'images',
+          mediaOverlay: chapter.audio ? `mo-${EpubSaver._indexName(volIdx)}-${EpubSaver._indexName(chapIdx)}` : null
+        });
+
+        // Image chapters get one fixed-layout page per image
+        for (let page = 1; chapter.type === 'images' && page < chapter.images.length; page++) {
+          documents.push({
+            id: `chapter-${EpubSaver._indexName(volIdx)}-${EpubSaver._indexName(chapIdx)}-page${page + 1}`,
+            href: `Text/volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}_page${page + 1}.xhtml`,
+            fixed: true
+          });
         }
-        navPoints += `        </navPoint>\n`;
-      } else {
-        // Single chapter, use volume title as chapter title or volume page
-        const chapIdx = Array.from(volume.chapters.keys())[0];
-        const volumeLink = volume.options.createVolumePage ?
-          `Text/volume${volIdx}_index.xhtml` :
-          `Text/volume${volIdx}_chapter${chapIdx}.xhtml`;
+      }
+
+      for (const notesDoc of noteDocuments.filter(doc => doc.volIdx === volIdx)) {
+        documents.push({
+          id: notesDoc.id,
+          href: `Text/${notesDoc.filename}`
+        });
+      }
+    }
+
+    for (const notesDoc of noteDocuments.filter(doc => doc.volIdx === null)) {
+      documents.push({
+        id: notesDoc.id,
+        href: `Text/${notesDoc.filename}`
+      });
+    }
+
+    documents.push(...extraDocuments('end'));
+    return documents;
+  }
+
+  // Table of contents as a tree of {id, title, href, children}, hrefs relative to OEBPS
+  _buildToc(notes) {
+    const noteDocuments = notes.documents;
+    const orderedVolumes = this._volumesInOrder();
+    const toc = [];
 
-        navPoints += `        <navPoint id="volume-${volIdx}" playOrder="${playOrder++}">
-            <navLabel><text>${volume.title}</text></navLabel>
-            <content src="${volumeLink}"/>
-        </navPoint>\n`;
+    if (this.coverBuffer) {
+      toc.push({
+        id: 'cover',
+        title: this._t('cover'),
+        href: 'Text/cover.xhtml',
+        children: []
+      });
+    }
+
+    // Extra documents with a title are listed where they are in the spine
+    const extraNodes = position => this._extraFiles.documents
+      .filter(doc => doc.position === position && doc.title)
+      .map(doc => ({
+        id: doc.id,
+        title: doc.title,
+        href: doc.href,
+        children: []
+      }));
+    toc.push(...extraNodes('start'));
+
+    // Sub-entries pointing at anchors inside a chapter: [{title, anchor, children}]
+    const sectionNodes = (sections, chapterHref, prefix) => sections.map((section, i) => ({
+      id: `${prefix}-${i}`,
+      title: section.title,
+      href: section.anchor ? `${chapterHref}#${section.anchor}` : chapterHref,
+      children: sectionNodes(section.children || [], chapterHref, `${prefix}-${i}`)
+    }));
+
+    const volumeNodes = parent => {
+      const nodes = [];
+      for (const [volIdx, volume] of orderedVolumes) {
+        if (this._parentVolume(volume) !== parent) continue;
+
+        const sortedChapters = volume.orderedChapters();
+        const chapterNodes = sortedChapters.map(([chapIdx, chapter]) => {
+          const href = `Text/volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.xhtml`;
+          return {
+            id: `chapter-${EpubSaver._indexName(volIdx)}-${EpubSaver._indexName(chapIdx)}`,
+            title: chapter.title,
+            href,
+            children: sectionNodes(chapter.sections || [], href, `section-${EpubSaver._indexName(volIdx)}-${EpubSaver._indexName(chapIdx)}`)
+          };
+        });
+        const childVolumes = volumeNodes(volIdx);
+        const children = [...chapterNodes, ...childVolumes];
+
+        // Without its own page a volume links to its first chapter (or first sub-volume)
+        const href = volume.options.createVolumePage ?
+          `Text/volume${EpubSaver._indexName(volIdx)}_index.xhtml` :
+          children[0]?.href;
+        if (href) {
+          if (chapterNodes.length === 1 && childVolumes.length === 0 && !volume.options.alwaysShowVolumeTitle) {
+            // Single chapter, use volume title as chapter title; with a volume page the chapter becomes a sub-item
+            nodes.push({
+              id: `volume-${EpubSaver._indexName(volIdx)}`,
+              title: volume.title,
+              href,
+              children: volume.options.createVolumePage ? chapterNodes : chapterNodes[0].children
+            });
+          } else {
+            nodes.push({
+              id: `volume-${EpubSaver._indexName(volIdx)}`,
+              title: volume.title,
+              href,
+              children
+            });
+          }
+        }
+
+        for (const notesDoc of noteDocuments.filter(doc => doc.volIdx === volIdx)) {
+          nodes.push({
+            id: notesDoc.id,
+            title: notesDoc.title,
+            href: `Text/${notesDoc.filename}`,
+            children: []
+          });
+        }
+      }
+      return nodes;
+    };
+
+    toc.push(...volumeNodes(null));
+
+    for (const notesDoc of noteDocuments.filter(doc => doc.volIdx === null)) {
+      toc.push({
+        id: notesDoc.id,
+        title: notesDoc.title,
+        href: `Text/${notesDoc.filename}`,
+        children: []
+      });
+    }
+
+    toc.push(...extraNodes('end'));
+    return toc;
+  }
+
+  // EPUB3 landmarks: cover, table of contents and the first real chapter
+  _landmarks(spineDocuments) {
+    const landmarks = [];
+    if (this.coverBuffer) {
+      landmarks.push({
+        type: 'cover',
+        title: this._t('cover'),
+        href: 'Text/cover.xhtml'
+      });
+    }
+    // EPUB2 packages have no nav.xhtml, their table of contents is the NCX
+    if (this.options.target !== 'epub2') {
+      landmarks.push({
+        type: 'toc',
+        title: this._t('tableOfContents'),
+        href: 'nav.xhtml#toc'
+      });
+    }
+    const firstChapter = spineDocuments.find(doc => doc.chapter);
+    if (firstChapter) {
+      landmarks.push({
+        type: 'bodymatter',
+        title: this._t('beginReading'),
+        href: firstChapter.href
+      });
+    }
+    return landmarks;
+  }
 
-        // If volume has its own page, add chapter as sub-item
-        if (volume.options.createVolumePage) {
-          const chapter = volume.chapters.get(chapIdx);
-          navPoints = navPoints.slice(0, -12); // Remove last </navPoint>\n
-          navPoints += `            <navPoint id="chapter-${volIdx}-${chapIdx}" playOrder="${playOrder++}">
-                <navLabel><text>${chapter.title}</text></navLabel>
-                <content src="Text/volume${volIdx}_chapter${chapIdx}.xhtml"/>
-            </navPoint>\n        </navPoint>\n`;
+  // Page list from chapter `pages` ({label, anchor}), or one page per chapter with pageList: 'chapters'
+  _pageList() {
+    const mode = this.options.pageList;
+    if (!mode) return [];
+
+    const pages = [];
+    for (const [volIdx, volume] of this._volumesInOrder()) {
+      const sortedChapters = volume.orderedChapters();
+      for (const [chapIdx, chapter] of sortedChapters) {
+        const href = `Text/volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.xhtml`;
+        if (chapter.pages && chapter.pages.length > 0) {
+          for (const page of chapter.pages) {
+            pages.push({
+              label: String(page.label),
+              href: page.anchor ? `${href}#${page.anchor}` : href
+            });
+          }
+        } else if (mode === 'chapters') {
+          pages.push({
+            label: String(pages.length + 1),
+            href
+          });
         }
       }
     }
+    return pages;
+  }
+
+  _generateTocNcx(notes, spineDocuments) {
+    const escape = EpubSaver._escapeXml;
+    const title = this.getInfo('title') || 'Untitled Book';
+    const uuid = this.getInfo('identifier') || this.env.randomUUID();
+    const toc = this._buildToc(notes);
+    const pages = this._pageList();
+
+    // playOrder follows reading order, entries pointing at the same target share one value
+    const spineHrefs = spineDocuments.map(doc => doc.href);
+    const targets = [];
+    const collectTargets = nodes => {
+      for (const node of nodes) {
+        targets.push(node.href);
+        collectTargets(node.children);
+      }
+    };
+    collectTargets(toc);
+    targets.push(...pages.map(page => page.href));
+    const uniqueTargets = Array.from(new Set(targets));
+    const position = href => {
+      const index = spineHrefs.indexOf(href.split('#')[0]);
+      return index === -1 ? spineHrefs.length : index;
+    };
+    const playOrder = new Map(uniqueTargets
+      .map((href, i) => ({ href, i }))
+      .sort((a, b) => position(a.href) - position(b.href) || a.i - b.i)
+      .map(({ href }, i) => [href, i + 1]));
+
+    let depth = 1;
+    const renderNavPoints = (nodes, level) => {
+      depth = Math.max(depth, level);
+      const indent = '    '.repeat(level + 1);
+      return nodes.map(node => `${indent}<navPoint id="${node.id}" playOrder="${playOrder.get(node.href)}">
+${indent}    <navLabel><text>${escape(node.title)}</text></navLabel>
+${indent}    <content src="${escape(node.href)}"/>
+${renderNavPoints(node.children, level + 1)}${indent}</navPoint>\n`).join('');
+    };
+    const navPoints = renderNavPoints(toc, 1);
+
+    let pageList = '';
+    if (pages.length > 0) {
+      const pageTargets = pages.map((page, i) => {
+        const numeric = /^\d+$/.test(page.label);
+        return `        <pageTarget id="page-${i + 1}" type="${numeric ? 'normal' : 'special'}"${numeric ? ` value="${escape(page.label)}"` : ''} playOrder="${playOrder.get(page.href)}">
+            <navLabel><text>${escape(page.label)}</text></navLabel>
+            <content src="${escape(page.href)}"/>
+        </pageTarget>\n`;
+      }).join('');
+      pageList = `    <pageList>
+        <navLabel><text>${escape(this._t('pageList'))}</text></navLabel>
+${pageTargets}    </pageList>\n`;
+    }
+    const maxPageNumber = Math.max(0, ...pages.map(page => /^\d+$/.test(page.label) ? Number(page.label) : 0));
 
     return `<?xml version="1.0" encoding="UTF-8"?>
 <ncx version="2005-1" xmlns="http://www.daisy.org/z3986/2005/ncx/">
     <head>
-        <meta content="${uuid}" name="dtb:uid"/>
-        <meta content="1" name="dtb:depth"/>
-        <meta content="0" name="dtb:totalPageCount"/>
-        <meta content="0" name="dtb:maxPageNumber"/>
+        <meta content="${escape(uuid)}" name="dtb:uid"/>
+        <meta content="${depth}" name="dtb:depth"/>
+        <meta content="${pages.length}" name="dtb:totalPageCount"/>
+        <meta content="${maxPageNumber}" name="dtb:maxPageNumber"/>
     </head>
     <docTitle>
-        <text>${title}</text>
+        <text>${escape(title)}</text>
     </docTitle>
     <navMap>
 ${navPoints}    </navMap>
-</ncx>`;
+${pageList}</ncx>`;
   }
 
-  _generateNavXhtml() {
-    const title = this.metadata.get('title')?.value || 'Untitled Book';
+  _generateNavXhtml(notes, spineDocuments) {
+    const escape = EpubSaver._escapeXml;
+    const title = this.getInfo('title') || 'Untitled Book';
 
-    let navItems = '';
-
-    if (this.coverBuffer) {
-      navItems += `            <li><a href="Text/cover.xhtml">${this._t('cover')}</a></li>\n`;
-    }
+    const renderItems = (nodes, level) => {
+      const indent = '    '.repeat(level * 2 + 2);
+      return nodes.map(node => {
+        if (node.children.length === 0) {
+          return `${indent}<li><a href="${escape(node.href)}">${escape(node.title)}</a></li>\n`;
+        }
+        return `${indent}<li>\n${indent}    <a href="${escape(node.href)}">${escape(node.title)}</a>\n${indent}    <ol>\n` +
+          renderItems(node.children, level + 1) +
+          `${indent}    </ol>\n${indent}</li>\n`;
+      }).join('');
+    };
+    const navItems = renderItems(this._buildToc(notes), 1);
 
-    const sortedVolumes = Array.from(this.volumes.entries()).sort(([a], [b]) => a - b);
-    for (const [volIdx, volume] of sortedVolumes) {
-      if (volume.chapters.size > 1 || volume.options.alwaysShowVolumeTitle) {
-        const volumeLink = volume.options.createVolumePage ?
-          `Text/volume${volIdx}_index.xhtml` :
-          `Text/volume${volIdx}_chapter${Array.from(volume.chapters.keys()).sort((a, b) => a - b)[0]}.xhtml`;
+    const landmarkItems = this._landmarks(spineDocuments).map(landmark =>
+      `                <li><a epub:type="${landmark.type}" href="${escape(landmark.href)}">${escape(landmark.title)}</a></li>\n`).join('');
 
-        navItems += `            <li>\n                <a href="${volumeLink}">${volume.title}</a>\n                <ol>\n`;
-        const sortedChapters = Array.from(volume.chapters.entries()).sort(([a], [b]) => a - b);
-        for (const [chapIdx, chapter] of sortedChapters) {
-          navItems += `                    <li><a href="Text/volume${volIdx}_chapter${chapIdx}.xhtml">${chapter.title}</a></li>\n`;
-        }
-        navItems += `                </ol>\n            </li>\n`;
-      } else {
-        const chapIdx = Array.from(volume.chapters.keys())[0];
-        const volumeLink = volume.options.createVolumePage ?
-          `Text/volume${volIdx}_index.xhtml` :
-          `Text/volume${volIdx}_chapter${chapIdx}.xhtml`;
-
-        if (volume.options.createVolumePage) {
-          // Volume has its own page, show as hierarchical
-          const chapter = volume.chapters.get(chapIdx);
-          navItems += `            <li>\n                <a href="${volumeLink}">${volume.title}</a>\n                <ol>\n`;
-          navItems += `                    <li><a href="Text/volume${volIdx}_chapter${chapIdx}.xhtml">${chapter.title}</a></li>\n`;
-          navItems += `                </ol>\n            </li>\n`;
-        } else {
-          // Direct link to chapter with volume title
-          navItems += `            <li><a href="${volumeLink}">${volume.title}</a></li>\n`;
-        }
-      }
+    const pages = this._pageList();
+    let pageList = '';
+    if (pages.length > 0) {
+      const pageItems = pages.map(page =>
+        `                <li><a href="${escape(page.href)}">${escape(page.label)}</a></li>\n`).join('');
+      pageList = `        <nav epub:type="page-list" id="page-list" hidden="hidden">
+            <h2>${escape(this._t('pageList'))}</h2>
+            <ol>
+${pageItems}            </ol>
+        </nav>
+`;
     }
 
     return `<?xml version="1.0" encoding="UTF-8"?>
 <html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
     <head>
-        <title>${title} - ${this._t('tableOfContents')}</title>
+        <title>${escape(title)} - ${escape(this._t('tableOfContents'))}</title>
         <meta name="viewport" content="width=device-width, height=device-height, initial-scale=1.0"/>
     </head>
     <body>
         <nav epub:type="toc" id="toc">
-            <h1>${this._t('tableOfContents')}</h1>
+            <h1>${escape(this._t('tableOfContents'))}</h1>
             <ol>
 ${navItems}            </ol>
         </nav>
-    </body>
+        <nav epub:type="landmarks" id="landmarks" hidden="hidden">
+            <h2>${escape(this._t('landmarks'))}</h2>
+            <ol>
+${landmarkItems}            </ol>
+        </nav>
+${pageList}    </body>
 </html>`;
   }
 
   _generateCoverXhtml() {
+    const escape = EpubSaver._escapeXml;
     if (!this.coverBuffer) return '';
 
-    const title = this.metadata.get('title')?.value || 'Untitled Book';
+    const title = this.getInfo('title') || 'Untitled Book';
+    // Fixed-layout pages need the real page size as viewport
+    const size = EpubSaver._imageSize(this.coverBuffer) || this.options.pageSize;
+    const viewport = this.options.layout === 'pre-paginated' ?
+      `width=${size.width}, height=${size.height}` :
+      'width=device-width, height=device-height, initial-scale=1.0';
 
     return `<?xml version="1.0" encoding="UTF-8"?>
 <html xmlns="http://www.w3.org/1999/xhtml">
     <head>
-        <title>${title} - ${this._t('cover')}</title>
-        <meta name="viewport" content="width=device-width, height=device-height, initial-scale=1.0"/>
+        <title>${escape(title)} - ${escape(this._t('cover'))}</title>
+        <meta name="viewport" content="${viewport}"/>
         <style type="text/css">
             body { margin: 0; padding: 0; text-align: center; }
             .cover { width: 100%; height: 100vh; object-fit: contain; }
         </style>
     </head>
     <body>
-        <img src="../Images/cover.${this.coverExtension}" alt="${this._t('cover')}" class="cover"/>
+        <img src="../Images/cover.${this.coverExtension}" alt="${escape(this._t('cover'))}" class="cover"/>
     </body>
 </html>`;
   }
@@ -698,24 +2362,86 @@ ${navItems}            </ol>
     return formatted.trim();
   }
 
-  _generateVolumePageXhtml(volume, volIdx) {
-    const globalCSS = this.cssFiles.get(0);
-    let cssLinks = '';
+  // Vertical text is read right to left unless the page progression is given
+  _pageProgression() {
+    return this.options.pageProgression || (this.options.writingMode === 'vertical-rl' ? 'rtl' : null);
+  }
+
+  // Vertical books: writing mode in every reflowable document and 縦中横 for short runs of digits
+  _applyWritingMode(xhtml) {
+    if (this.options.writingMode !== 'vertical-rl') return xhtml;
+    const css = `
+            html { -epub-writing-mode: vertical-rl; -webkit-writing-mode: vertical-rl; writing-mode: vertical-rl; }
+            .tcy { -epub-text-combine: horizontal; -webkit-text-combine: horizontal; text-combine-upright: all; }
+        `;
+    // Ahead of the document's own stylesheets, which can still override it
+    const result = xhtml.replace(/<head(\s[^>]*)?>/, head => `${head}\n        <style type="text/css">${css}</style>`);
+    return this.options.tateChuYoko > 0 ? this._tateChuYoko(result) : result;
+  }
+
+  // Wrap runs of up to options.tateChuYoko half-width digits, and !! / !? / ?! / ??, in <span class="tcy">
+  _tateChuYoko(xhtml) {
+    const ns = 'http://www.w3.org/1999/xhtml';
+    const doc = new this.env.DOMParser().parseFromString(xhtml, 'application/xhtml+xml');
+    const body = EpubSaver._elements(doc, 'body')[0];
+    if (!body || EpubSaver._elements(doc, 'parsererror').length > 0) return xhtml;
+
+    const pattern = new RegExp(`(?<![0-9A-Za-z.,!?])([0-9]{1,${Number(this.options.tateChuYoko)}}|[!?]{2})(?![0-9A-Za-z.,!?])`, 'g');
+    const walk = node => {
+      for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType === 1) {
+          if (!['script', 'style', 'rt', 'rp', 'code', 'pre', 'svg', 'math'].includes(child.localName) &&
+            child.getAttribute('class') !== 'tcy') {
+            walk(child);
+          }
+          continue;
+        }
+        if (child.nodeType !== 3 || child.nodeValue.search(pattern) === -1) continue;
+
+        const fragment = doc.createDocumentFragment();
+        const parts = child.nodeValue.split(pattern);
+        // split() with a capturing group alternates plain text and matches
+        parts.forEach((part, i) => {
+          if (i % 2 === 0) {
+            if (part) fragment.appendChild(doc.createTextNode(part));
+          } else {
+            const span = doc.createElementNS(ns, 'span');
+            span.setAttribute('class', 'tcy');
+            span.appendChild(doc.createTextNode(part));
+            fragment.appendChild(span);
+          }
+        });
+        node.replaceChild(fragment, child);
+      }
+    };
+    walk(body);
+
+    let result = new this.env.XMLSerializer().serializeToString(doc);
+    if (!result.startsWith('<?xml')) {
+      result = '<?xml version="1.0" encoding="UTF-8"?>\n' + result;
+    }
+    return result;
+  }
+
+  _generateVolumePageXhtml(volume, volIdx) {
+    const escape = EpubSaver._escapeXml;
+    const globalCSS = this.cssFiles.get(0);
+    let cssLinks = '';
 
     // Add global CSS if available
     if (globalCSS) {
       cssLinks += `        <link rel="stylesheet" type="text/css" href="../Styles/style0.css"/>\n`;
     }
 
-    let bodyContent = `        <h1>${volume.title}</h1>\n`;
+    let bodyContent = `        <h1>${escape(volume.title)}</h1>\n`;
 
     // Add chapter list only if volumePageType is 'navigator'
     if (volume.options.volumePageType === 'navigator') {
-      const sortedChapters = Array.from(volume.chapters.entries()).sort(([a], [b]) => a - b);
+      const sortedChapters = volume.orderedChapters();
       if (sortedChapters.length > 0) {
-        bodyContent += `        <h2>${this._t('chapters')}</h2>\n        <ul>\n`;
+        bodyContent += `        <h2>${escape(this._t('chapters'))}</h2>\n        <ul>\n`;
         for (const [chapIdx, chapter] of sortedChapters) {
-          bodyContent += `            <li><a href="volume${volIdx}_chapter${chapIdx}.xhtml">${chapter.title}</a></li>\n`;
+          bodyContent += `            <li><a href="volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.xhtml">${escape(chapter.title)}</a></li>\n`;
         }
         bodyContent += `        </ul>\n`;
       }
@@ -725,7 +2451,7 @@ ${navItems}            </ol>
     return `<?xml version="1.0" encoding="UTF-8"?>
 <html xmlns="http://www.w3.org/1999/xhtml">
     <head>
-        <title>${volume.title}</title>
+        <title>${escape(volume.title)}</title>
         <meta name="viewport" content="width=device-width, height=device-height, initial-scale=1.0"/>
 ${cssLinks}    </head>
     <body>
@@ -733,18 +2459,428 @@ ${bodyContent}    </body>
 </html>`;
   }
 
-  _generateChapterXhtml(chapter, volIdx, chapIdx) {
+  // notes: the chapter's entries from _collectNotes(), collected once per build
+  _generateChapterXhtml(chapter, volIdx, chapIdx, notes) {
+    if (chapter.type === 'images') {
+      return this._generateImagePageXhtml(chapter, 0);
+    }
+    const xhtml = this._applyNotes(this._renderChapterXhtml(chapter, volIdx, chapIdx), notes);
+    return chapter.audio ? this._markOverlaySegments(xhtml).xhtml : xhtml;
+  }
+
+  // One fixed-layout page showing a single image at its natural size
+  _generateImagePageXhtml(chapter, page) {
+    const escape = EpubSaver._escapeXml;
+    const image = chapter.images[page];
+    const { width, height } = image || this.options.pageSize;
+    const title = chapter.images.length > 1 ? `${chapter.title} - ${page + 1}` : chapter.title;
+    const body = image ?
+      `        <img src="${escape(image.src)}" alt="${escape(title)}"/>` :
+      `        <h1>${escape(chapter.title)}</h1>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+    <head>
+        <title>${escape(title)}</title>
+        <meta name="viewport" content="width=${width}, height=${height}"/>
+        <style type="text/css">
+            html, body { margin: 0; padding: 0; width: ${width}px; height: ${height}px; overflow: hidden; }
+            img { display: block; width: ${width}px; height: ${height}px; }
+        </style>
+    </head>
+    <body>
+${body}
+    </body>
+</html>`;
+  }
+
+  // Give every heading and paragraph of the body an id the media overlay can point at
+  _markOverlaySegments(xhtml) {
+    const doc = new this.env.DOMParser().parseFromString(xhtml, 'application/xhtml+xml');
+    const body = EpubSaver._elements(doc, 'body')[0];
+    const segments = [];
+    if (!body) return { xhtml, segments };
+
+    const ids = new Set(Array.from(doc.getElementsByTagName('*')).map(element => element.getAttribute('id')).filter(Boolean));
+    let counter = 0;
+    for (const element of Array.from(body.getElementsByTagName('*'))) {
+      if (!/^(h[1-6]|p)$/.test(element.localName)) continue;
+      // Footnotes are not read aloud
+      let parent = element.parentNode;
+      while (parent && parent !== body && parent.localName !== 'aside') parent = parent.parentNode;
+      if (parent !== body) continue;
+
+      const text = element.textContent.trim();
+      if (!text) continue;
+      let id = element.getAttribute('id');
+      if (!id) {
+        do {
+          id = `mo-${++counter}`;
+        } while (ids.has(id));
+        element.setAttribute('id', id);
+      }
+      segments.push({
+        id,
+        length: Array.from(text).length
+      });
+    }
+
+    let result = new this.env.XMLSerializer().serializeToString(doc);
+    if (!result.startsWith('<?xml')) {
+      result = '<?xml version="1.0" encoding="UTF-8"?>\n' + result;
+    }
+    return {
+      xhtml: result,
+      segments
+    };
+  }
+
+  // Clips per segment: the chapter's own timings, or the track spread over paragraphs by text length
+  _overlayClips(chapter, segments) {
+    const audio = chapter.audio;
+    if (audio.clips && audio.clips.length > 0) {
+      return audio.clips.map((clip, i) => ({
+        id: clip.id || segments[i]?.id,
+        begin: clip.begin,
+        end: clip.end
+      })).filter(clip => clip.id);
+    }
+
+    const totalLength = segments.reduce((sum, segment) => sum + segment.length, 0);
+    let position = 0;
+    return segments.map(segment => {
+      const begin = position;
+      position += totalLength ? audio.duration * segment.length / totalLength : 0;
+      return {
+        id: segment.id,
+        begin,
+        end: position
+      };
+    });
+  }
+
+  // xhtml: the chapter as written, after the hooks, so the clips point at ids that are really there
+  _generateSmil(chapter, volIdx, chapIdx, xhtml) {
+    const chapterFile = `volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.xhtml`;
+    const { segments } = this._markOverlaySegments(xhtml);
+    const audioSrc = `../Audio/volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.${chapter.audio.extension}`;
+
+    const pars = this._overlayClips(chapter, segments).map((clip, i) => `            <par id="par${i + 1}">
+                <text src="${chapterFile}#${clip.id}"/>
+                <audio src="${audioSrc}" clipBegin="${EpubSaver._formatClock(clip.begin)}" clipEnd="${EpubSaver._formatClock(clip.end)}"/>
+            </par>
+`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<smil xmlns="http://www.w3.org/ns/SMIL" xmlns:epub="http://www.idpf.org/2007/ops" version="3.0">
+    <body>
+        <seq id="seq1" epub:textref="${chapterFile}" epub:type="chapter">
+${pars}        </seq>
+    </body>
+</smil>`;
+  }
+
+  // Number every note and decide where it lives: in its chapter, or in a volume/book endnotes document
+  _collectNotes() {
+    const placement = this.options.notes.placement;
+    const chapters = new Map(); // `${volIdx}-${chapIdx}` -> notes
+    const documents = []; // endnotes documents: {id, filename, volIdx, title, notes}
+    let bookDocument = null;
+
+    const sortedVolumes = this._volumesInOrder();
+    for (const [volIdx, volume] of sortedVolumes) {
+      let volumeDocument = null;
+      const sortedChapters = volume.orderedChapters();
+      for (const [chapIdx, chapter] of sortedChapters) {
+        if (!chapter.notes || chapter.notes.length === 0) continue;
+
+        let target = null;
+        if (placement === 'book') {
+          target = bookDocument = bookDocument || {
+            id: 'notes',
+            filename: 'notes.xhtml',
+            volIdx: null,
+            title: this._t('notes'),
+            notes: []
+          };
+        } else if (placement === 'volume') {
+          target = volumeDocument = volumeDocument || {
+            id: `notes-${EpubSaver._indexName(volIdx)}`,
+            filename: `volume${EpubSaver._indexName(volIdx)}_notes.xhtml`,
+            volIdx,
+            title: `${volume.title} - ${this._t('notes')}`,
+            notes: []
+          };
+        }
+
+        const chapterFile = `volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.xhtml`;
+        chapters.set(`${volIdx}-${chapIdx}`, chapter.notes.map((note, i) => {
+          const key = `${EpubSaver._indexName(volIdx)}-${EpubSaver._indexName(chapIdx)}-${String(note.id).replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+          const entry = {
+            ...note,
+            number: target ? target.notes.length + 1 : i + 1,
+            noteId: `note-${key}`,
+            refId: `noteref-${key}`,
+            noteHref: target ? `${target.filename}#note-${key}` : `#note-${key}`,
+            refHref: target ? `${chapterFile}#noteref-${key}` : `#noteref-${key}`
+          };
+          if (target) target.notes.push(entry);
+          return entry;
+        }));
+      }
+      if (volumeDocument) documents.push(volumeDocument);
+    }
+    if (bookDocument) documents.push(bookDocument);
+
+    return {
+      chapters,
+      documents
+    };
+  }
+
+  _renderNoteBody(note) {
+    const backlink = `<a href="${note.refHref}">${note.number}.</a>`;
+    if (note.type === 'html' || note.type === 'xhtml') {
+      return `<p>${backlink}</p>${this._sanitizeFragment(note.content)}`;
+    }
+    return `<p>${backlink} ${EpubSaver._escapeXml(note.content).replace(/\n/g, '<br/>')}</p>`;
+  }
+
+  // Turn [^id] markers into EPUB3 noterefs and append footnotes to the chapter
+  _applyNotes(xhtml, notes) {
+    if (!notes || notes.length === 0) return xhtml;
+
+    const byId = new Map(notes.map(note => [String(note.id), note]));
+    const referenced = new Set();
+    let result = xhtml.replace(/\[\^([^\]\s]+)\]/g, (match, id) => {
+      const note = byId.get(id);
+      if (!note) return match;
+      // Only the first reference gets the id the note links back to
+      const idAttr = referenced.has(id) ? '' : ` id="${note.refId}"`;
+      referenced.add(id);
+      return `<sup><a epub:type="noteref" href="${note.noteHref}"${idAttr}>${note.number}</a></sup>`;
+    });
+
+    if (this.options.notes.placement === 'footnote') {
+      const asides = notes.map(note =>
+        `        <aside epub:type="footnote" id="${note.noteId}">${this._renderNoteBody(note)}</aside>\n`).join('');
+      result = result.replace(/\s*<\/body>/, `\n${asides}    </body>`);
+    }
+
+    if (!/<html[^>]*xmlns:epub=/.test(result)) {
+      result = result.replace(/<html\b/, '<html xmlns:epub="http://www.idpf.org/2007/ops"');
+    }
+    return result;
+  }
+
+  _generateNotesXhtml(notesDoc) {
+    const escape = EpubSaver._escapeXml;
+    let cssLinks = '';
+    if (this.cssFiles.has(0)) {
+      cssLinks += `        <link rel="stylesheet" type="text/css" href="../Styles/style0.css"/>\n`;
+    }
+
+    const items = notesDoc.notes.map(note =>
+      `            <li epub:type="endnote" id="${note.noteId}">${this._renderNoteBody(note)}</li>\n`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+    <head>
+        <title>${escape(notesDoc.title)}</title>
+        <meta name="viewport" content="width=device-width, height=device-height, initial-scale=1.0"/>
+${cssLinks}    </head>
+    <body>
+        <section epub:type="endnotes" role="doc-endnotes">
+            <h1>${escape(notesDoc.title)}</h1>
+            <ol>
+${items}            </ol>
+        </section>
+    </body>
+</html>`;
+  }
+
+  // Named HTML entities are unknown to an XML parser (only amp, lt, gt, quot and apos are), use numeric references
+  _convertEntities(content) {
+    return content.replace(/&([a-zA-Z][a-zA-Z0-9]*);/g, (match, name) => {
+      if (['amp', 'lt', 'gt', 'quot', 'apos'].includes(name)) return match;
+      const decoded = this._decodeEntity(name);
+      return decoded === null ?
+        `&amp;${name};` :
+        Array.from(decoded).map(char => `&#${char.codePointAt(0)};`).join('');
+    });
+  }
+
+  _decodeEntity(name) {
+    this._entityCache = this._entityCache || new Map();
+    if (!this._entityCache.has(name)) {
+      const doc = new this.env.DOMParser().parseFromString(`<!DOCTYPE html><body>&${name};</body>`, 'text/html');
+      const text = doc.body ? doc.body.textContent : '';
+      this._entityCache.set(name, text && text !== `&${name};` ? text : null);
+    }
+    return this._entityCache.get(name);
+  }
+
+  _sanitizerConfig() {
+    const option = this.options.sanitize;
+    if (option === false) return null;
+    const config = {
+      // Removed together with their content
+      removeTags: ['script', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'form', 'input',
+        'button', 'select', 'option', 'textarea', 'base', 'template', 'dialog'],
+      // Anything else in the XHTML namespace is unwrapped, keeping its children
+      allowedTags: ['html', 'head', 'title', 'meta', 'link', 'style', 'body', 'article', 'section', 'nav', 'aside',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hgroup', 'header', 'footer', 'main', 'address', 'p', 'hr', 'pre',
+        'blockquote', 'ol', 'ul', 'li', 'dl', 'dt', 'dd', 'figure', 'figcaption', 'div', 'a', 'em', 'strong',
+        'small', 's', 'cite', 'q', 'dfn', 'abbr', 'ruby', 'rb', 'rt', 'rtc', 'rp', 'data', 'time', 'code', 'var',
+        'samp', 'kbd', 'sub', 'sup', 'i', 'b', 'u', 'mark', 'bdi', 'bdo', 'span', 'br', 'wbr', 'ins', 'del',
+        'img', 'picture', 'source', 'audio', 'video', 'track', 'map', 'area', 'table', 'caption', 'colgroup', 'col',
+        'tbody', 'thead', 'tfoot', 'tr', 'td', 'th', 'details', 'summary', 'svg', 'math'],
+      transform: null
+    };
+    if (typeof option === 'function') {
+      config.transform = option;
+    } else if (option && typeof option === 'object') {
+      Object.assign(config, option);
+    }
+    return config;
+  }
+
+  // Strip scripts, event handlers, embedded frames and tags EPUB does not allow; configured by options.sanitize
+  _sanitize(root) {
+    const config = this._sanitizerConfig();
+    if (!config || !root) return;
+
+    for (const element of Array.from(root.getElementsByTagName('*'))) {
+      // Already gone with a removed ancestor
+      if (!root.contains(element)) continue;
+
+      const name = element.localName.toLowerCase();
+      const isXhtml = !element.namespaceURI || element.namespaceURI === 'http://www.w3.org/1999/xhtml';
+      if (config.removeTags.includes(name) ||
+        (name === 'meta' && element.hasAttribute('http-equiv'))) {
+        element.parentNode.removeChild(element);
+        continue;
+      }
+      if (isXhtml && !config.allowedTags.includes(name) && element !== root) {
+        while (element.firstChild) {
+          element.parentNode.insertBefore(element.firstChild, element);
+        }
+        element.parentNode.removeChild(element);
+        continue;
+      }
+
+      for (const attr of Array.from(element.attributes)) {
+        const attrName = attr.name.toLowerCase();
+        const isUrl = ['href', 'src', 'xlink:href', 'action', 'poster', 'data'].includes(attrName);
+        if (attrName.startsWith('on') || attrName === 'srcdoc' || attrName === 'formaction' ||
+          (isUrl && /^\s*(javascript|vbscript|data:text\/html)/i.test(attr.value))) {
+          element.removeAttribute(attr.name);
+        }
+      }
+    }
+
+    if (config.transform) config.transform(root, this);
+  }
+
+  // Sanitize an HTML snippet and return it as well-formed XHTML markup
+  _sanitizeFragment(html) {
+    const doc = new this.env.DOMParser().parseFromString(`<!DOCTYPE html><html><body>${html}</body></html>`, 'text/html');
+    this._sanitize(doc.body);
+    const serializer = new this.env.XMLSerializer();
+    return Array.from(doc.body.childNodes)
+      .map(node => serializer.serializeToString(node).replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, ''))
+      .join('');
+  }
+
+  // Plain-text pipeline of 'text' chapters, shared by the XHTML renderer and the exporters: paragraphs,
+  // indentation, scene breaks, punctuation and 简繁 conversion. Returns [{type: 'paragraph', text} | {type: 'break'}]
+  _typesetText(content) {
+    const config = this.options.text;
+    const text = content.replace(/\r\n?/g, '\n');
+    const lines = text.split('\n');
+
+    let mode = config.paragraphs;
+    if (mode === 'auto') {
+      // Web novels put every paragraph on a line of its own, usually indented with 　　
+      const filled = lines.filter(line => line.trim());
+      const indented = filled.filter(line => /^(\u3000|[ \t]{2})/.test(line)).length;
+      mode = !/\n\s*\n/.test(text) || indented * 2 > filled.length ? 'line' : 'blank-line';
+    }
+    const paragraphs = mode === 'line' ? lines : text.split(/\n\s*\n/);
+
+    const from = EpubSaver._chineseScript(config.source);
+    const to = EpubSaver._chineseScript(this.getInfo('language'));
+    const convert = config.converter && from && to && from !== to ?
+      value => config.converter(value, from, to) :
+      value => value;
+
+    const blocks = [];
+    for (let paragraph of paragraphs) {
+      if (!paragraph.trim()) continue;
+      if (config.sceneBreak && config.sceneBreak.test(paragraph)) {
+        blocks.push({ type: 'break' });
+        continue;
+      }
+      paragraph = paragraph.split('\n')
+        .map(line => config.indent === 'keep' ? line.trimEnd() : line.trim())
+        .join('\n');
+      if (config.punctuation) {
+        paragraph = EpubSaver._normalizePunctuation(paragraph);
+      }
+      blocks.push({
+        type: 'paragraph',
+        text: convert(paragraph)
+      });
+    }
+    return blocks;
+  }
+
+  // 'zh-CN' (Simplified) or 'zh-TW' (Traditional) for a Chinese language tag, null for anything else
+  static _chineseScript(language) {
+    if (!language || !/^zh\b/i.test(language)) return null;
+    return /hant|tw|hk|mo/i.test(language) ? 'zh-TW' : 'zh-CN';
+  }
+
+  // Curly quotes, ellipses and dashes; half-width punctuation touching CJK text becomes full-width
+  static _normalizePunctuation(text) {
+    const cjk = '\\u3040-\\u30ff\\u3400-\\u9fff\\uf900-\\ufaff\\u3000-\\u303f\\uff00-\\uffef';
+    const result = text
+      .replace(/(\w)'(\w)/g, '$1’$2')
+      .replace(/"([^"\n]*)"/g, '“$1”')
+      .replace(/'([^'\n]*)'/g, '‘$1’');
+    if (!new RegExp(`[${cjk}]`).test(result)) {
+      return result.replace(/\.{3}/g, '…').replace(/(?<!-)--(?!-)/g, '—');
+    }
+
+    const fullWidth = {
+      ',': '，',
+      '!': '！',
+      '?': '？',
+      ':': '：',
+      ';': '；'
+    };
+    return result
+      .replace(/\.{3,}|。{2,}|…+/g, '……')
+      .replace(/-{2,}|—+/g, '——')
+      .replace(new RegExp(`([${cjk}])([,!?:;])|([,!?:;])(?=[${cjk}])`, 'g'),
+        (match, before, mark, alone) => before ? before + fullWidth[mark] : fullWidth[alone])
+      .replace(new RegExp(`([${cjk}])\\.(?![\\w.])`, 'g'), '$1。');
+  }
+
+  _renderChapterXhtml(chapter, volIdx, chapIdx) {
     if (chapter.type === 'html' || chapter.type === 'xhtml') {
       // Content is already complete HTML/XHTML, use browser APIs to format properly
       try {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(chapter.content, 'application/xhtml+xml');
+        const parser = new this.env.DOMParser();
+        const content = this._convertEntities(chapter.content);
+        const doc = parser.parseFromString(content, 'application/xhtml+xml');
 
-        // Check for parsing errors
+        // Check for parsing errors; a well-formed fragment such as a single <p> is not a document either
         const parserError = doc.querySelector('parsererror');
-        if (parserError) {
+        if (parserError || doc.documentElement.localName !== 'html') {
           // Try parsing as HTML instead
-          const htmlDoc = parser.parseFromString(chapter.content, 'text/html');
+          const htmlDoc = parser.parseFromString(content, 'text/html');
+          this._sanitize(htmlDoc.documentElement);
 
           // Ensure head element exists
           let head = htmlDoc.querySelector('head');
@@ -810,7 +2946,8 @@ ${bodyContent}    </body>
           }
 
           // Convert to XHTML format
-          const serializer = new XMLSerializer();
+          const serializer = new this.env.XMLSerializer();
+          htmlDoc.documentElement.removeAttribute('xmlns');
           let result = serializer.serializeToString(htmlDoc.documentElement);
 
           // Add XML declaration if missing
@@ -825,6 +2962,8 @@ ${bodyContent}    </body>
 
           return this._formatXML(result);
         } else {
+          this._sanitize(doc.documentElement);
+
           // Valid XHTML, ensure head element exists
           let head = doc.querySelector('head');
           if (!head) {
@@ -889,7 +3028,7 @@ ${bodyContent}    </body>
           }
 
           // Serialize back to clean XHTML
-          const serializer = new XMLSerializer();
+          const serializer = new this.env.XMLSerializer();
           let result = serializer.serializeToString(doc);
 
           // Add XML declaration if missing
@@ -922,140 +3061,2280 @@ ${bodyContent}    </body>
         }
       }
 
-      let bodyContent = chapter.content;
-
-      // For text type, wrap in paragraph tags and convert newlines
-      bodyContent = `        <p>${bodyContent.replace(/\n\n/g, '</p>\n        <p>').replace(/\n/g, '<br/>')}</p>`;
+      const bodyContent = this._typesetText(chapter.content)
+        .map(block => block.type === 'break' ?
+          '        <hr class="scene-break"/>' :
+          `        <p>${EpubSaver._escapeXml(block.text).replace(/\n/g, '<br/>')}</p>`)
+        .join('\n');
 
       return `<?xml version="1.0" encoding="UTF-8"?>
 <html xmlns="http://www.w3.org/1999/xhtml">
     <head>
-        <title>${chapter.title}</title>
+        <title>${EpubSaver._escapeXml(chapter.title)}</title>
         <meta name="viewport" content="width=device-width, height=device-height, initial-scale=1.0"/>
 ${cssLinks}    </head>
     <body>
-        <h1>${chapter.title}</h1>
+        <h1>${EpubSaver._escapeXml(chapter.title)}</h1>
 ${bodyContent}
     </body>
 </html>`;
     }
   }
 
-  async save() {
-    // Add mimetype file first (MUST be uncompressed and first in ZIP)
-    this.zip.file("mimetype", "application/epub+zip", {
-      compression: "STORE"
-    });
-
-    // Create directory structure
-    this.zip.folder("META-INF");
-    this.zip.folder("OEBPS");
-    this.zip.folder("OEBPS/Text");
-    this.zip.folder("OEBPS/Styles");
-    this.zip.folder("OEBPS/Images");
-
-    // Compression options for all other files (except mimetype)
-    const compressionOptions = {
-      compression: "DEFLATE",
-      compressionOptions: {
-        level: 6
-      }
+  // options.kepub adds the Kobo span markup to every chapter
+  _packageEntries(options = {}) {
+    // Every file of the package in ZIP order; data() is called only when the file is written
+    const entries = [];
+    const target = this.options.target;
+    const add = (path, data, compression = 'DEFLATE') => {
+      entries.push({
+        path,
+        // EPUB2 content documents are XHTML 1.1; afterGenerateXhtml hooks see the file as it is written
+        data: !path.endsWith('.xhtml') ? data : async () => {
+          const xhtml = target === 'epub2' ? this._downgradeXhtml(await data()) : await data();
+          return this._runHook('afterGenerateXhtml', xhtml, { path });
+        },
+        compression
+      });
     };
 
-    // Add META-INF/container.xml
-    this.zip.file("META-INF/container.xml", this._generateContainer(), compressionOptions);
+    // Generated covers follow the current title, so (re)build them right before packaging
+    if (this.options.autoCover && (!this.coverBuffer || this.coverGenerated)) {
+      this.generateCover();
+    }
+    this._deriveIdentifier();
+
+    // Worked out once here, the package documents and every chapter share them
+    const notes = this._collectNotes();
+    const spineDocuments = this._spineDocuments(notes);
 
-    // Add OEBPS files
-    this.zip.file("OEBPS/content.opf", this._generateContentOpf(), compressionOptions);
-    this.zip.file("OEBPS/toc.ncx", this._generateTocNcx(), compressionOptions);
-    this.zip.file("OEBPS/nav.xhtml", this._generateNavXhtml(), compressionOptions);
+    // mimetype MUST be uncompressed and first in ZIP
+    add('mimetype', () => 'application/epub+zip', 'STORE');
+    add('META-INF/container.xml', () => this._generateContainer());
+    if (Array.from(this.fonts.values()).some(font => font.obfuscate)) {
+      add('META-INF/encryption.xml', () => this._generateEncryptionXml());
+    }
+    add('OEBPS/content.opf', () => this._generateContentOpf(spineDocuments));
+    if (target !== 'epub3') add('OEBPS/toc.ncx', () => this._generateTocNcx(notes, spineDocuments));
+    if (target !== 'epub2') add('OEBPS/nav.xhtml', () => this._generateNavXhtml(notes, spineDocuments));
 
     // Add cover image and page
     if (this.coverBuffer) {
-      this.zip.file(`OEBPS/Images/cover.${this.coverExtension}`, this.coverBuffer, compressionOptions);
-      this.zip.file("OEBPS/Text/cover.xhtml", this._generateCoverXhtml(), compressionOptions);
+      add(`OEBPS/Images/cover.${this.coverExtension}`, () => this.coverBuffer);
+      add('OEBPS/Text/cover.xhtml', () => this._applyWritingMode(this._generateCoverXhtml()));
     }
 
     // Add downloaded images
-    for (const [filename, imageData] of this.images) {
-      this.zip.file(`OEBPS/Images/${filename}`, imageData.buffer, compressionOptions);
+    for (const [filename, imageData] of this._imagesInOrder()) {
+      add(`OEBPS/Images/${filename}`, () => imageData.buffer);
     }
 
-    // Add CSS files
+    // Add fonts
+    for (const [filename, font] of this.fonts) {
+      add(`OEBPS/Fonts/${filename}`, () => this._fontData(font));
+    }
+
+    // Add CSS files, the global one starts with the @font-face rules
     for (const [idx, cssData] of this.cssFiles) {
-      this.zip.file(`OEBPS/Styles/style${idx}.css`, cssData.content, compressionOptions);
+      add(`OEBPS/Styles/style${idx}.css`, () => idx === 0 ? this._generatedCss() + (cssData.content || '') : cssData.content);
     }
 
     // Add CSS map files
     for (const [path, content] of this.cssMap) {
-      this.zip.file(`OEBPS/Styles/${path}`, content, compressionOptions);
+      add(`OEBPS/Styles/${path}`, () => content);
+    }
+
+    // Add files from beforeManifest hooks
+    for (const resource of this._extraFiles.resources) {
+      add(`OEBPS/${resource.href}`, () => typeof resource.data === 'function' ? resource.data() : resource.data);
+    }
+    for (const doc of this._extraFiles.documents) {
+      add(`OEBPS/${doc.href}`, async () => this._applyWritingMode(typeof doc.content === 'function' ? await doc.content() : doc.content));
     }
 
     // Add chapters and volume pages
-    const sortedVolumes = Array.from(this.volumes.entries()).sort(([a], [b]) => a - b);
+    const noteDocuments = notes.documents;
+    const sortedVolumes = this._volumesInOrder();
     for (const [volIdx, volume] of sortedVolumes) {
       // Generate volume page if createVolumePage is enabled
       if (volume.options.createVolumePage) {
-        const volumeFilename = `OEBPS/Text/volume${volIdx}_index.xhtml`;
-        const volumeContent = this._generateVolumePageXhtml(volume, volIdx);
-        this.zip.file(volumeFilename, volumeContent, compressionOptions);
+        add(`OEBPS/Text/volume${EpubSaver._indexName(volIdx)}_index.xhtml`, () => this._applyWritingMode(this._generateVolumePageXhtml(volume, volIdx)));
       }
 
       // Generate chapters
-      const sortedChapters = Array.from(volume.chapters.entries()).sort(([a], [b]) => a - b);
+      const sortedChapters = volume.orderedChapters();
       for (const [chapIdx, chapter] of sortedChapters) {
-        const filename = `OEBPS/Text/volume${volIdx}_chapter${chapIdx}.xhtml`;
-        const content = this._generateChapterXhtml(chapter, volIdx, chapIdx);
-        this.zip.file(filename, content, compressionOptions);
+        const path = `OEBPS/Text/volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.xhtml`;
+        let transformed = () => this._transformChapterDom(this._generateChapterXhtml(chapter, volIdx, chapIdx,
+          notes.chapters.get(`${volIdx}-${chapIdx}`)), {
+          chapter,
+          volIdx,
+          chapIdx,
+          path
+        });
+        // The media overlay follows the transformed chapter, which is built only once
+        if (chapter.audio && target !== 'epub2') {
+          const transform = transformed;
+          let result = null;
+          transformed = () => result || (result = transform());
+        }
+
+        add(path, async () => {
+          if (chapter.type === 'images') return transformed();
+          const xhtml = this._applyWritingMode(await transformed());
+          return options.kepub ? this._koboSpans(xhtml) : xhtml;
+        });
+        for (let page = 1; chapter.type === 'images' && page < chapter.images.length; page++) {
+          add(`OEBPS/Text/volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}_page${page + 1}.xhtml`, () => this._generateImagePageXhtml(chapter, page));
+        }
+        if (chapter.audio && target !== 'epub2') {
+          add(`OEBPS/Text/volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.smil`, async () => this._generateSmil(chapter, volIdx, chapIdx, await transformed()));
+          // Audio is already compressed
+          add(`OEBPS/Audio/volume${EpubSaver._indexName(volIdx)}_chapter${EpubSaver._indexName(chapIdx)}.${chapter.audio.extension}`, () => chapter.audio.buffer, 'STORE');
+        }
+      }
+
+      for (const notesDoc of noteDocuments.filter(doc => doc.volIdx === volIdx)) {
+        add(`OEBPS/Text/${notesDoc.filename}`, () => this._applyWritingMode(this._generateNotesXhtml(notesDoc)));
       }
     }
 
-    // Generate and return the EPUB buffer
-    return await this.zip.generateAsync({
-      type: "arraybuffer"
+    for (const notesDoc of noteDocuments.filter(doc => doc.volIdx === null)) {
+      add(`OEBPS/Text/${notesDoc.filename}`, () => this._applyWritingMode(this._generateNotesXhtml(notesDoc)));
+    }
+
+    return entries;
+  }
+
+  // XHTML 1.1 for EPUB2: HTML5 sectioning elements become <div> (inline ones <span>) keeping their name as class,
+  // epub:type and ARIA roles are dropped
+  _downgradeXhtml(xhtml) {
+    const ns = 'http://www.w3.org/1999/xhtml';
+    const doc = new this.env.DOMParser().parseFromString(xhtml, 'application/xhtml+xml');
+    const replacements = {
+      section: 'div',
+      article: 'div',
+      aside: 'div',
+      nav: 'div',
+      header: 'div',
+      footer: 'div',
+      main: 'div',
+      figure: 'div',
+      figcaption: 'div',
+      mark: 'span',
+      time: 'span'
+    };
+
+    for (const element of Array.from(doc.getElementsByTagName('*'))) {
+      for (const attr of Array.from(element.attributes)) {
+        if (attr.namespaceURI === 'http://www.idpf.org/2007/ops' || attr.name === 'role' || attr.name === 'hidden') {
+          element.removeAttributeNode(attr);
+        }
+      }
+      const name = replacements[element.localName];
+      if (!name || element.namespaceURI !== ns) continue;
+
+      const replacement = doc.createElementNS(ns, name);
+      for (const attr of Array.from(element.attributes)) {
+        replacement.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+      }
+      replacement.setAttribute('class', `${element.localName} ${element.getAttribute('class') || ''}`.trim());
+      while (element.firstChild) replacement.appendChild(element.firstChild);
+      element.parentNode.replaceChild(replacement, element);
+    }
+    doc.documentElement.removeAttributeNS('http://www.w3.org/2000/xmlns/', 'epub');
+
+    let result = new this.env.XMLSerializer().serializeToString(doc);
+    if (!result.startsWith('<?xml')) {
+      result = '<?xml version="1.0" encoding="UTF-8"?>\n' + result;
+    }
+    return result;
+  }
+
+  // Run the transformChapterDom hooks on a chapter document, untouched when there are none
+  async _transformChapterDom(xhtml, context) {
+    if (!this._hasHooks('transformChapterDom')) return xhtml;
+    const doc = await this._runHook('transformChapterDom',
+      new this.env.DOMParser().parseFromString(xhtml, 'application/xhtml+xml'), context);
+    let result = new this.env.XMLSerializer().serializeToString(doc);
+    if (!result.startsWith('<?xml')) {
+      result = '<?xml version="1.0" encoding="UTF-8"?>\n' + result;
+    }
+    return result;
+  }
+
+  // Package entries with the files of beforeManifest hooks, after the beforeZip hooks
+  async _buildEntries(options = {}) {
+    const extras = {
+      documents: [],
+      resources: []
+    };
+    const ids = new Set();
+    const uniqueId = (prefix, name) => {
+      let id = `${prefix}-${String(name).replace(/[^a-zA-Z0-9_-]/g, '-')}`;
+      for (let i = 2; ids.has(id); i++) id = `${prefix}-${String(name).replace(/[^a-zA-Z0-9_-]/g, '-')}-${i}`;
+      ids.add(id);
+      return id;
+    };
+    await this._runHook('beforeManifest', extras, {
+      // {filename (in Text/), content (XHTML string or async function), title (TOC entry), position: 'start' | 'end', linear}
+      addDocument: doc => {
+        extras.documents.push({
+          ...doc,
+          id: uniqueId('extra', doc.id || doc.filename),
+          href: `Text/${doc.filename}`,
+          position: doc.position === 'start' ? 'start' : 'end'
+        });
+        return `Text/${doc.filename}`;
+      },
+      // {path (relative to OEBPS, e.g. 'Images/logo.png'), data, mediaType}
+      addResource: resource => {
+        extras.resources.push({
+          ...resource,
+          id: uniqueId('extra-res', resource.id || resource.path),
+          href: resource.path
+        });
+        return resource.path;
+      }
+    });
+    this._extraFiles = extras;
+
+    return this._runHook('beforeZip', this._packageEntries(options), {
+      archive: options.kepub ? 'kepub' : 'epub'
     });
   }
-}
 
-class EpubVolume {
-  constructor(idx, title, saver, options = {}) {
-    this.idx = idx;
-    this.title = title;
-    this.saver = saver;
-    this.options = {
-      alwaysShowVolumeTitle: false, // Controls whether single chapters show volume title in TOC
-      createVolumePage: false, // Controls whether volume gets its own dedicated XHTML page
-      volumePageType: 'navigator', // 'navigator' (show chapters) or 'blank' (only title) - only when createVolumePage is true
-      ...options
+  // Kobo KEPUB markup: every sentence in a koboSpan numbered kobo.<paragraph>.<sentence>,
+  // the body content inside div#book-columns > div#book-inner
+  _koboSpans(xhtml) {
+    const ns = 'http://www.w3.org/1999/xhtml';
+    const doc = new this.env.DOMParser().parseFromString(xhtml, 'application/xhtml+xml');
+    const body = EpubSaver._elements(doc, 'body')[0];
+    if (!body || EpubSaver._elements(doc, 'parsererror').length > 0) return xhtml;
+
+    const blockTags = ['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'dt', 'dd', 'blockquote', 'pre',
+      'figcaption', 'caption', 'td', 'th', 'section', 'aside'];
+    let paragraph = 0;
+    let sentence = 0;
+    const span = () => {
+      const element = doc.createElementNS(ns, 'span');
+      element.setAttribute('class', 'koboSpan');
+      element.setAttribute('id', `kobo.${paragraph}.${++sentence}`);
+      return element;
     };
-    this.chapters = new Map();
+    const walk = node => {
+      for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType === 3) {
+          if (!child.nodeValue.trim()) continue;
+          const fragment = doc.createDocumentFragment();
+          const sentences = child.nodeValue.match(/[^.!?。！？…]*[.!?。！？…]+["'”’」』）)]*\s*|[^.!?。！？…]+$/g);
+          for (const text of sentences) {
+            if (text.trim()) {
+              const element = span();
+              element.appendChild(doc.createTextNode(text));
+              fragment.appendChild(element);
+            } else {
+              fragment.appendChild(doc.createTextNode(text));
+            }
+          }
+          node.replaceChild(fragment, child);
+        } else if (child.nodeType === 1) {
+          const name = child.localName;
+          if (['script', 'style', 'svg', 'math'].includes(name)) continue;
+          if (name === 'img') {
+            // Images are locations of their own
+            paragraph++;
+            sentence = 0;
+            const element = span();
+            node.insertBefore(element, child);
+            element.appendChild(child);
+            continue;
+          }
+          if (blockTags.includes(name)) {
+            paragraph++;
+            sentence = 0;
+          }
+          walk(child);
+        }
+      }
+    };
+    walk(body);
+
+    const columns = doc.createElementNS(ns, 'div');
+    columns.setAttribute('id', 'book-columns');
+    const inner = doc.createElementNS(ns, 'div');
+    inner.setAttribute('id', 'book-inner');
+    while (body.firstChild) {
+      inner.appendChild(body.firstChild);
+    }
+    columns.appendChild(inner);
+    body.appendChild(columns);
+
+    let result = new this.env.XMLSerializer().serializeToString(doc);
+    if (!result.startsWith('<?xml')) {
+      result = '<?xml version="1.0" encoding="UTF-8"?>\n' + result;
+    }
+    return result;
   }
 
-  async addChapter(idx, title, content, type = 'text', useGlobalCSS = false, cssIdxs = [], insertTitle = undefined) {
-    // Process CSS links and download images from HTML/XHTML content
-    let processedContent = content;
-    if (type === 'html' || type === 'xhtml') {
-      processedContent = await this.saver._processCSSLinksInContent(content);
-      processedContent = await this.saver._downloadImagesFromContent(processedContent);
+  // Pages of every image chapter in reading order, as a CBZ (plain ZIP) with ComicInfo.xml
+  _cbzEntries() {
+    const pages = [];
+    if (this.coverBuffer && this.coverExtension !== 'svg') {
+      pages.push({
+        buffer: this.coverBuffer,
+        extension: this.coverExtension,
+        type: 'FrontCover'
+      });
+    }
+    for (const [, volume] of this._volumesInOrder()) {
+      const sortedChapters = volume.orderedChapters();
+      for (const [, chapter] of sortedChapters) {
+        if (chapter.type !== 'images') continue;
+        for (const image of chapter.images) {
+          // CBZ readers only show raster images
+          const data = image.filename && this.images.get(image.filename);
+          if (!data || data.extension === 'svg') continue;
+          pages.push({
+            buffer: data.buffer,
+            extension: data.extension,
+            type: 'Story'
+          });
+        }
+      }
     }
 
-    this.chapters.set(idx, {
-      title, // chapter title
-      content: processedContent,
-      type, // content_type
-      useGlobalCSS,
-      cssIdxs,
-      insertTitle // undefined -> auto detect || true -> always insert || false -> never insert
+    const digits = Math.max(3, String(pages.length).length);
+    const entries = [{
+      path: 'ComicInfo.xml',
+      data: () => this._generateComicInfo(pages),
+      compression: 'DEFLATE'
+    }];
+    pages.forEach((page, i) => entries.push({
+      path: `${String(i + 1).padStart(digits, '0')}.${page.extension}`,
+      data: () => page.buffer,
+      compression: 'STORE'
+    }));
+    return entries;
+  }
+
+  _generateComicInfo(pages) {
+    const escape = EpubSaver._escapeXml;
+    const fields = [
+      ['Title', this.getInfo('title')],
+      ['Series', this.getInfo('series') || this.getInfo('title')],
+      ['Number', this.metadata.get('series')?.[0].options.index],
+      ['Summary', this.getInfo('description')],
+      ['Writer', this.getInfo('creator', { all: true }).join(', ')],
+      ['Publisher', this.getInfo('publisher')],
+      ['Genre', this.getInfo('subject', { all: true }).join(', ')],
+      ['LanguageISO', this.getInfo('language')],
+      ['PageCount', pages.length],
+      ['Manga', this._pageProgression() === 'rtl' ? 'YesAndRightToLeft' : null]
+    ];
+    const elements = fields
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, value]) => `    <${name}>${escape(value)}</${name}>\n`).join('');
+    const pageElements = pages.map((page, i) => {
+      const size = EpubSaver._imageSize(page.buffer);
+      const dimensions = size ? ` ImageWidth="${size.width}" ImageHeight="${size.height}"` : '';
+      return `        <Page Image="${i}" Type="${page.type}"${dimensions}/>\n`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ComicInfo xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
+${elements}    <Pages>
+${pageElements}    </Pages>
+</ComicInfo>`;
+  }
+
+  // Volume and chapter headings in reading order, shared by the TXT, Markdown and HTML exporters.
+  // A book made of a single volume without its own page reads as a plain list of chapters.
+  _exportOutline() {
+    const orderedVolumes = this._volumesInOrder();
+    const single = orderedVolumes.length === 1 && !orderedVolumes[0][1].options.createVolumePage &&
+      !orderedVolumes[0][1].options.alwaysShowVolumeTitle;
+    const depths = new Map();
+    const outline = [];
+    for (const [volIdx, volume] of orderedVolumes) {
+      const parent = this._parentVolume(volume);
+      const depth = parent === null ? 0 : (depths.get(parent) ?? 0) + 1;
+      depths.set(volIdx, depth);
+
+      const showVolume = !single && Boolean(volume.title);
+      if (showVolume) {
+        outline.push({
+          type: 'volume',
+          title: volume.title,
+          depth,
+          volIdx
+        });
+      }
+      const sortedChapters = volume.orderedChapters();
+      for (const [chapIdx, chapter] of sortedChapters) {
+        outline.push({
+          type: 'chapter',
+          title: chapter.title,
+          depth: showVolume ? depth + 1 : depth,
+          chapter,
+          volIdx,
+          chapIdx
+        });
+      }
+    }
+    return outline;
+  }
+
+  // Headings, paragraphs, scene breaks and images of a chapter as [{type, text, level, src, alt}].
+  // A leading heading or paragraph repeating the chapter title is dropped, exporters write the title themselves.
+  _chapterBlocks(chapter) {
+    if (chapter.type === 'images') {
+      return chapter.images.map(image => ({
+        type: 'image',
+        src: image.src,
+        alt: chapter.title
+      }));
+    }
+
+    const blocks = [];
+    if (chapter.type === 'text') {
+      blocks.push(...this._typesetText(chapter.content));
+    } else {
+      const doc = new this.env.DOMParser().parseFromString(chapter.content, 'text/html');
+      this._sanitize(doc.documentElement);
+
+      const blockTags = ['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'dt', 'dd', 'blockquote', 'pre',
+        'figcaption', 'caption', 'td', 'th', 'tr', 'section', 'article', 'aside', 'header', 'footer'];
+      let buffer = '';
+      const flush = (type = 'paragraph', level = 0) => {
+        const text = buffer.replace(/ *\n */g, '\n').trim();
+        buffer = '';
+        if (text) blocks.push({ type, text, level });
+      };
+      const walk = node => {
+        for (const child of Array.from(node.childNodes)) {
+          if (child.nodeType === 3) {
+            // Collapse markup whitespace only, full-width spaces are content
+            buffer += child.nodeValue.replace(/[ \t\r\n]+/g, ' ');
+          } else if (child.nodeType === 1) {
+            const name = child.localName.toLowerCase();
+            if (['head', 'title', 'style'].includes(name)) continue;
+            if (name === 'br') {
+              buffer += '\n';
+            } else if (name === 'hr') {
+              flush();
+              blocks.push({ type: 'break' });
+            } else if (name === 'img') {
+              flush();
+              blocks.push({
+                type: 'image',
+                src: child.getAttribute('src') || '',
+                alt: child.getAttribute('alt') || ''
+              });
+            } else if (blockTags.includes(name)) {
+              flush();
+              walk(child);
+              const heading = /^h([1-6])$/.exec(name);
+              flush(heading ? 'heading' : 'paragraph', heading ? Number(heading[1]) : 0);
+            } else {
+              walk(child);
+            }
+          }
+        }
+      };
+      walk(doc.body);
+      flush();
+    }
+
+    const normalize = text => text.replace(/\s+/g, '');
+    const first = blocks.findIndex(block => block.type === 'heading' || block.type === 'paragraph');
+    if (first !== -1 && normalize(blocks[first].text) === normalize(chapter.title)) {
+      blocks.splice(first, 1);
+    }
+    return blocks;
+  }
+
+  // Plain text of a note, whatever its content type
+  _noteText(note) {
+    if (note.type !== 'html' && note.type !== 'xhtml') return note.content;
+    return this._chapterBlocks({
+      type: 'html',
+      title: '',
+      content: note.content
+    }).filter(block => block.text).map(block => block.text).join('\n');
+  }
+
+  // data: URI of a packaged image referenced as ../Images/<filename>, null when there is no such image
+  _imageDataUri(ref) {
+    const filename = ref.replace(/^\.\.\/Images\//, '');
+    const data = this.coverBuffer && filename === `cover.${this.coverExtension}` ? {
+      buffer: this.coverBuffer,
+      extension: this.coverExtension
+    } : this.images.get(filename);
+    if (!data) return null;
+    return `data:${EpubSaver._imageMediaType(data.extension)};base64,${EpubSaver._base64(data.buffer)}`;
+  }
+
+  // Plain text in reading order, notes follow their chapter and images are left out.
+  // options: {encoding: 'utf-8' or any other with an encoder, encoder: text => Uint8Array (e.g. encodeGBK),
+  //           indent: paragraph indent, newline: '\n' | '\r\n', header: title, authors and description on top}
+  async exportTxt(options = {}) {
+    const {
+      encoding = 'utf-8',
+      encoder = null,
+      indent = '\u3000\u3000',
+      newline = '\n',
+      header = true
+    } = options;
+    const notes = this._collectNotes().chapters;
+    const lines = [];
+
+    if (header) {
+      lines.push(this.getInfo('title') || 'Untitled Book');
+      const creators = this.getInfo('creator', { all: true });
+      if (creators.length > 0) lines.push(this._t('byline') + creators.join(', '));
+      const description = this.getInfo('description');
+      if (description) lines.push(description);
+      lines.push('', '');
+    }
+
+    for (const item of this._exportOutline()) {
+      if (item.type === 'volume') {
+        lines.push(item.title, '');
+        continue;
+      }
+
+      const chapterNotes = notes.get(`${item.volIdx}-${item.chapIdx}`) || [];
+      const byId = new Map(chapterNotes.map(note => [String(note.id), note]));
+      const noteRefs = text => text.replace(/\[\^([^\]\s]+)\]/g, (match, id) => byId.has(id) ? `[${byId.get(id).number}]` : match);
+
+      lines.push(item.title);
+      for (const block of this._chapterBlocks(item.chapter)) {
+        if (block.type === 'image') continue;
+        if (block.type === 'break') {
+          lines.push('* * *');
+          continue;
+        }
+        const prefix = block.type === 'heading' ? '' : indent;
+        lines.push(...noteRefs(block.text).split('\n').map(line => prefix + line));
+      }
+      for (const note of chapterNotes) {
+        lines.push(`[${note.number}] ${this._noteText(note)}`);
+      }
+      lines.push('', '');
+    }
+
+    const text = lines.join('\n').replace(/\r\n?/g, '\n').replace(/\n/g, newline);
+    if (/^utf-?8$/i.test(encoding)) {
+      return new TextEncoder().encode(text);
+    }
+    if (!encoder) {
+      throw new Error(`exportTxt() has no encoder for ${encoding}, pass one with options.encoder`);
+    }
+    return encoder(text);
+  }
+
+  // CommonMark with footnotes; book and volume headings use #, chapter notes become [^id] footnotes.
+  // options: {inlineImages: false keeps remote images as links, true embeds every image as a data: URI}
+  async exportMarkdown(options = {}) {
+    const escape = EpubSaver._escapeMarkdown;
+    const notes = this._collectNotes().chapters;
+    const headingLevel = depth => '#'.repeat(Math.min(6, depth + 2));
+    const imageUrl = src => {
+      if (!src.startsWith('../Images/')) return src;
+      const originalUrl = this.images.get(src.slice('../Images/'.length))?.originalUrl;
+      if (!options.inlineImages && /^https?:\/\//.test(originalUrl || '')) return originalUrl;
+      return this._imageDataUri(src) || src;
+    };
+    const parts = [`# ${escape(this.getInfo('title') || 'Untitled Book')}`];
+
+    const creators = this.getInfo('creator', { all: true });
+    if (creators.length > 0) parts.push(escape(this._t('byline') + creators.join(', ')));
+    const description = this.getInfo('description');
+    if (description) parts.push(escape(description.replace(/\r\n?/g, '\n')).replace(/\n/g, '  \n'));
+
+    for (const item of this._exportOutline()) {
+      if (item.type === 'volume') {
+        parts.push(`${headingLevel(item.depth)} ${escape(item.title)}`);
+        continue;
+      }
+
+      const level = headingLevel(item.depth);
+      const chapterNotes = notes.get(`${item.volIdx}-${item.chapIdx}`) || [];
+      const byId = new Map(chapterNotes.map(note => [String(note.id), note]));
+      const footnoteLabel = note => note.noteId.replace(/^note-/, '');
+      // Escape the text around the [^id] markers, the markers themselves are footnote references
+      const render = text => text.split(/(\[\^[^\]\s]+\])/).map((part, i) => {
+        const note = i % 2 === 1 && byId.get(part.slice(2, -1));
+        return note ? `[^${footnoteLabel(note)}]` : escape(part);
+      }).join('');
+
+      parts.push(`${level} ${escape(item.title)}`);
+      for (const block of this._chapterBlocks(item.chapter)) {
+        if (block.type === 'break') {
+          parts.push('* * *');
+        } else if (block.type === 'image') {
+          parts.push(`![${escape(block.alt)}](<${imageUrl(block.src)}>)`);
+        } else if (block.type === 'heading') {
+          parts.push(`${'#'.repeat(Math.min(6, level.length + 1))} ${render(block.text.replace(/\n/g, ' '))}`);
+        } else {
+          parts.push(render(block.text).replace(/\n/g, '  \n'));
+        }
+      }
+      for (const note of chapterNotes) {
+        parts.push(`[^${footnoteLabel(note)}]: ${escape(this._noteText(note)).replace(/\n/g, '\n    ')}`);
+      }
+    }
+
+    return parts.join('\n\n') + '\n';
+  }
+
+  // One self-contained HTML file: every document of the spine with styles, images and fonts inlined as data: URIs
+  async exportHtml() {
+    const escape = EpubSaver._escapeXml;
+    const entries = new Map((await this._buildEntries()).map(entry => [entry.path, entry]));
+    const notes = this._collectNotes();
+    const serializer = new this.env.XMLSerializer();
+
+    const dataUris = new Map();
+    for (const [filename, font] of this.fonts) {
+      // Obfuscation only means something inside an EPUB
+      const buffer = await this._fontData(font, false);
+      dataUris.set(`../Fonts/${filename}`, `data:${font.mediaType};base64,${EpubSaver._base64(buffer)}`);
+    }
+    const inline = text => text.replace(/\.\.\/(?:Images|Fonts)\/[^"')\s]+/g, ref => {
+      if (!dataUris.has(ref) && ref.startsWith('../Images/')) dataUris.set(ref, this._imageDataUri(ref));
+      return dataUris.get(ref) || ref;
+    });
+    // Links between documents point at their sections instead
+    const relink = text => text.replace(/href="(?:[^"#:]*\/)?([^"#:/]+)\.xhtml(#[^"]*)?"/g,
+      (match, name, fragment) => `href="${fragment || `#${name}`}"`);
+
+    let css = this._generatedCss();
+    for (const [, cssData] of Array.from(this.cssFiles.entries()).sort(([a], [b]) => a - b)) {
+      css += `${cssData.content || ''}\n`;
+    }
+    for (const [, content] of this.cssMap) {
+      css += `${content}\n`;
+    }
+    css = inline(css).replace(/<\/style/gi, '<\\/style');
+
+    const sections = [];
+    for (const document of this._spineDocuments(notes)) {
+      const entry = entries.get(`OEBPS/${document.href}`);
+      if (!entry) continue;
+      const doc = new this.env.DOMParser().parseFromString(await entry.data(), 'application/xhtml+xml');
+      if (EpubSaver._elements(doc, 'body').length === 0) continue;
+      // Serialized as a whole so namespace prefixes such as epub: stay in scope
+      const content = serializer.serializeToString(doc)
+        .replace(/^[\s\S]*?<body[^>]*>|<\/body>[\s\S]*$/g, '')
+        .replace(/ xmlns(?::\w+)?="[^"]*"/g, '');
+      const id = document.href.replace(/^.*\/|\.xhtml$/g, '');
+      sections.push(`        <section id="${escape(id)}">\n${inline(relink(content))}\n        </section>\n`);
+    }
+
+    const renderToc = (nodes, level) => {
+      if (nodes.length === 0) return '';
+      const indent = '    '.repeat(level * 2 + 3);
+      const items = nodes.map(node =>
+        `${indent}    <li><a href="${escape(node.href)}">${escape(node.title)}</a>${renderToc(node.children, level + 1)}</li>\n`).join('');
+      return `\n${indent}<ol>\n${items}${indent}</ol>`;
+    };
+
+    const title = this.getInfo('title') || 'Untitled Book';
+    const meta = [
+      ['author', this.getInfo('creator', { all: true }).join(', ')],
+      ['description', this.getInfo('description')],
+      ['keywords', this.getInfo('subject', { all: true }).join(', ')]
+    ].filter(([, content]) => content)
+      .map(([name, content]) => `        <meta name="${name}" content="${escape(content)}"/>\n`).join('');
+
+    return relink(`<!DOCTYPE html>
+<html lang="${escape(this.getInfo('language') || 'en')}">
+    <head>
+        <meta charset="utf-8"/>
+        <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+        <title>${escape(title)}</title>
+${meta}        <style>
+            body { max-width: 48em; margin: 0 auto; padding: 1em; }
+            section { margin-bottom: 3em; }
+            img { max-width: 100%; height: auto; }
+${css}
+        </style>
+    </head>
+    <body>
+        <nav id="toc">
+            <h1>${escape(this._t('tableOfContents'))}</h1>${renderToc(this._buildToc(notes), 0)}
+        </nav>
+${sections.join('')}    </body>
+</html>
+`);
+  }
+
+  static _escapeMarkdown(text) {
+    return String(text)
+      .replace(/([\\`*_[\]<>|])/g, '\\$1')
+      .replace(/^(\s*)([#>+-])(?=\s|$)/gm, '$1\\$2')
+      .replace(/^(\s*\d+)([.)])(?=\s|$)/gm, '$1\\$2');
+  }
+
+  async validate() {
+    return this._validateEntries(await this._buildEntries());
+  }
+
+  // Checks the package entries as _buildEntries() returned them
+  async _validateEntries(entries) {
+    const issues = [];
+    const report = (severity, file, message) => issues.push({
+      severity,
+      file,
+      message
+    });
+
+    const files = new Map();
+    for (const entry of entries) {
+      files.set(entry.path, await entry.data());
+    }
+
+    const mimetypeProblem = EpubSaver._mimetypeProblem(entries);
+    if (mimetypeProblem) {
+      report('error', 'mimetype', mimetypeProblem);
+    } else if (files.get('mimetype') !== 'application/epub+zip') {
+      report('error', 'mimetype', 'mimetype must contain exactly "application/epub+zip"');
+    }
+
+    const parser = new this.env.DOMParser();
+    const parseXml = (path) => {
+      const doc = parser.parseFromString(files.get(path), 'application/xml');
+      const parserError = doc.getElementsByTagName('parsererror')[0];
+      if (parserError) {
+        report('error', path, `Not well-formed XML: ${parserError.textContent.trim().split('\n')[0]}`);
+        return null;
+      }
+      return doc;
+    };
+
+    // Every generated XML document must be well-formed
+    const documents = new Map();
+    for (const path of files.keys()) {
+      if (/\.(xhtml|opf|ncx|xml|smil)$/.test(path)) {
+        const doc = parseXml(path);
+        if (doc) documents.set(path, doc);
+      }
+    }
+
+    const opfPath = 'OEBPS/content.opf';
+    const opf = documents.get(opfPath);
+    if (opf) {
+      this._validatePackage(opf, opfPath, files, report);
+    }
+
+    // References from documents to images, stylesheets and other documents
+    for (const [path, doc] of documents) {
+      if (!/\.(xhtml|ncx|smil)$/.test(path)) continue;
+      for (const element of Array.from(doc.getElementsByTagName('*'))) {
+        for (const name of ['src', 'href']) {
+          const value = element.getAttribute(name);
+          if (!value || value.startsWith('#') || value.startsWith('mailto:')) continue;
+          if (/^https?:/.test(value)) {
+            if (name === 'src' || element.localName === 'link') {
+              report('warning', path, `Remote resource is not embedded: ${value}`);
+            }
+            continue;
+          }
+          if (/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(value)) continue;
+          const target = EpubSaver._resolvePath(path, value);
+          if (!files.has(target)) {
+            report('error', path, `Dangling reference: ${value}`);
+            continue;
+          }
+
+          // Fragment targets (table of contents sub-entries, page-list, notes) must exist
+          const fragment = value.split('#')[1];
+          const targetDoc = documents.get(target);
+          if (fragment && targetDoc && !Array.from(targetDoc.getElementsByTagName('*')).some(el => el.getAttribute('id') === fragment)) {
+            report('error', path, `Missing fragment target: ${value}`);
+          }
+        }
+      }
+    }
+
+    return issues;
+  }
+
+  _validatePackage(opf, opfPath, files, report) {
+    const dcElements = EpubSaver._dcElements;
+    const version = opf.documentElement.getAttribute('version');
+    // OPF 2.0 puts role, file-as, scheme and event on the element, EPUB3 refines it with <meta>
+    const dcAttributes = version === '2.0' ?
+      ['id', 'xml:lang', 'opf:role', 'opf:file-as', 'opf:scheme', 'opf:event'] :
+      ['id', 'dir', 'xml:lang'];
+
+    // Metadata
+    const metadataElement = EpubSaver._elements(opf, 'metadata')[0];
+    const found = new Set();
+    if (metadataElement) {
+      for (const element of Array.from(metadataElement.childNodes)) {
+        if (element.nodeType !== 1 || element.namespaceURI !== 'http://purl.org/dc/elements/1.1/') continue;
+        const name = element.localName;
+        found.add(name);
+        if (!dcElements.includes(name)) {
+          report('error', opfPath, `<dc:${name}> is not a Dublin Core element, use <meta> instead`);
+          continue;
+        }
+        for (const attr of Array.from(element.attributes)) {
+          if (!dcAttributes.includes(attr.name) && !attr.name.startsWith('xmlns')) {
+            report('error', opfPath, `Attribute "${attr.name}" is not allowed on <dc:${name}>`);
+          }
+        }
+        if (element.textContent.trim() === '') {
+          report('error', opfPath, `<dc:${name}> must not be empty`);
+        }
+      }
+    }
+    for (const name of ['identifier', 'title', 'language']) {
+      if (!found.has(name)) {
+        report('error', opfPath, `Missing required <dc:${name}>`);
+      }
+    }
+
+    const uniqueId = opf.documentElement.getAttribute('unique-identifier');
+    const identifiers = EpubSaver._elements(opf, 'identifier');
+    if (!identifiers.some(element => element.getAttribute('id') === uniqueId)) {
+      report('error', opfPath, `unique-identifier "${uniqueId}" does not match any <dc:identifier> id`);
+    }
+
+    const metas = EpubSaver._elements(opf, 'meta');
+    const ids = new Set(Array.from(opf.getElementsByTagName('*')).map(element => element.getAttribute('id')).filter(Boolean));
+    for (const meta of metas) {
+      const refines = meta.getAttribute('refines');
+      if (refines && !ids.has(refines.replace(/^#/, ''))) {
+        report('error', opfPath, `<meta refines="${refines}"> does not point to an element of the package`);
+      }
+    }
+    if (version === '3.0' && !metas.some(meta => meta.getAttribute('property') === 'dcterms:modified')) {
+      report('error', opfPath, 'Missing <meta property="dcterms:modified">');
+    }
+
+    // Manifest
+    const manifestIds = new Map();
+    const manifestPaths = new Set();
+    const coreImageTypes = EpubSaver._coreImageTypes[this.options.target];
+    for (const item of EpubSaver._elements(opf, 'item')) {
+      const id = item.getAttribute('id');
+      const href = item.getAttribute('href');
+      const mediaType = item.getAttribute('media-type') || '';
+      if (manifestIds.has(id)) {
+        report('error', opfPath, `Duplicate manifest id "${id}"`);
+      }
+      manifestIds.set(id, item);
+      if (coreImageTypes && mediaType.startsWith('image/') && !coreImageTypes.includes(mediaType)) {
+        report('error', opfPath, `Image "${href}" is ${mediaType}, which ${this.options.target} reading systems need not support; pass env.imageCodec`);
+      }
+      if (version === '2.0' && item.hasAttribute('properties')) {
+        report('error', opfPath, `Manifest item "${id}" has EPUB3 properties in an OPF 2.0 package`);
+      }
+
+      const path = EpubSaver._resolvePath(opfPath, href || '');
+      if (manifestPaths.has(path)) {
+        report('error', opfPath, `Duplicate manifest entry for "${href}"`);
+      }
+      manifestPaths.add(path);
+      if (!files.has(path)) {
+        report('error', opfPath, `Manifest item "${id}" points to missing file "${href}"`);
+      }
+    }
+
+    for (const path of files.keys()) {
+      if (path.startsWith('OEBPS/') && path !== opfPath && !manifestPaths.has(path)) {
+        report('error', path, 'File is not declared in the manifest');
+      }
+    }
+
+    // Spine
+    const spineElement = EpubSaver._elements(opf, 'spine')[0];
+    const tocId = spineElement && spineElement.getAttribute('toc');
+    if (tocId && !manifestIds.has(tocId)) {
+      report('error', opfPath, `Spine toc "${tocId}" is not in the manifest`);
+    }
+    if (version === '2.0' && !tocId) {
+      report('error', opfPath, 'OPF 2.0 spine needs a toc (NCX)');
+    }
+    if (version === '3.0' && !Array.from(manifestIds.values()).some(item => (item.getAttribute('properties') || '').split(/\s+/).includes('nav'))) {
+      report('error', opfPath, 'Missing EPUB3 navigation document (manifest item with properties="nav")');
+    }
+
+    const spineIds = new Set();
+    for (const itemref of EpubSaver._elements(opf, 'itemref')) {
+      const idref = itemref.getAttribute('idref');
+      const item = manifestIds.get(idref);
+      if (!item) {
+        report('error', opfPath, `Spine itemref "${idref}" is not in the manifest`);
+      } else if (item.getAttribute('media-type') !== 'application/xhtml+xml') {
+        report('error', opfPath, `Spine item "${idref}" is not an XHTML document`);
+      }
+      if (spineIds.has(idref)) {
+        report('error', opfPath, `Spine itemref "${idref}" is listed more than once`);
+      }
+      spineIds.add(idref);
+    }
+    if (spineIds.size === 0) {
+      report('error', opfPath, 'Spine is empty');
+    }
+
+    for (const reference of EpubSaver._elements(opf, 'reference')) {
+      const href = reference.getAttribute('href') || '';
+      if (!files.has(EpubSaver._resolvePath(opfPath, href))) {
+        report('error', opfPath, `Guide reference points to missing file "${href}"`);
+      }
+    }
+  }
+
+  // Strict saves validate exactly the entries they write: every file is generated once, hooks included,
+  // and kept until it is written
+  async _validatedEntries(entries) {
+    const generated = entries.map(entry => {
+      let data = null;
+      return {
+        ...entry,
+        data: () => data || (data = entry.data())
+      };
+    });
+    const errors = (await this._validateEntries(generated)).filter(issue => issue.severity === 'error');
+    if (errors.length > 0) {
+      throw new EpubValidationError(errors);
+    }
+    return generated;
+  }
+
+  // archive: 'epub' (default), 'kepub' (EPUB with Kobo spans, saved as .kepub.epub) or 'cbz' for the image pages only
+  async save(options = {}) {
+    const cbz = options.archive === 'cbz';
+    let entries = cbz ? this._cbzEntries() : await this._buildEntries({
+      kepub: options.archive === 'kepub'
+    });
+    if (options.strict && !cbz) {
+      entries = await this._validatedEntries(entries);
+    }
+
+    this.zip = new this.env.JSZip();
+    // Every entry gets the same date; JSZip would stamp the current time otherwise
+    const date = new Date(this.env.clock());
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const fileOptions = entry.compression === 'STORE' ? {
+        compression: "STORE"
+      } : {
+        // Compression options for all other files (except mimetype)
+        compression: "DEFLATE",
+        compressionOptions: {
+          level: 6
+        }
+      };
+      this.zip.file(entry.path, await entry.data(), {
+        ...fileOptions,
+        date,
+        createFolders: false
+      });
+      // Directory structure, right after mimetype which must stay the first entry
+      if (!cbz && i === 0) {
+        for (const folder of ["META-INF", "OEBPS", "OEBPS/Text", "OEBPS/Styles", "OEBPS/Images"]) {
+          this.zip.file(folder, null, {
+            dir: true,
+            date
+          });
+        }
+      }
+      if (options.onProgress) {
+        options.onProgress({
+          phase: 'generating',
+          done: i + 1,
+          total: entries.length
+        });
+      }
+    }
+
+    if (options.strict && !cbz) {
+      const problem = EpubSaver._mimetypeProblem(Object.values(this.zip.files).map(file => ({
+        path: file.name,
+        compression: file.options.compression
+      })));
+      if (problem) {
+        throw new EpubValidationError([{
+          severity: 'error',
+          file: 'mimetype',
+          message: problem
+        }]);
+      }
+    }
+
+    // Generate and return the EPUB buffer
+    return await this.zip.generateAsync({
+      type: "arraybuffer"
+    }, metadata => {
+      if (options.onProgress) {
+        options.onProgress({
+          phase: 'packaging',
+          done: Math.floor(metadata.percent),
+          total: 100
+        });
+      }
+    });
+  }
+
+  // Memory-bounded alternative to save(): every file is generated right before it is written
+  // and the ZIP is emitted chunk by chunk instead of as one ArrayBuffer.
+  // format: 'readable' (web ReadableStream), 'node' (stream.Readable) or 'blob' (Promise<Blob>)
+  // archive: 'epub' (default), 'kepub' or 'cbz'
+  async saveStream(options = {}) {
+    const cbz = options.archive === 'cbz';
+    let entries = cbz ? this._cbzEntries() : await this._buildEntries({
+      kepub: options.archive === 'kepub'
+    });
+    if (options.strict && !cbz) {
+      entries = await this._validatedEntries(entries);
+    }
+
+    const format = options.format || (typeof ReadableStream === 'function' ? 'readable' : 'node');
+    const chunks = this._zipChunks(options.onProgress, entries);
+    const mimeType = cbz ? 'application/vnd.comicbook+zip' : 'application/epub+zip';
+
+    if (format === 'node') {
+      return require('stream').Readable.from(chunks);
+    }
+
+    if (format === 'blob') {
+      // Fold parts into a Blob every few MB so the browser can move them out of the JS heap
+      let blob = new Blob([], {
+        type: mimeType
+      });
+      let parts = [];
+      let pending = 0;
+      for await (const chunk of chunks) {
+        parts.push(chunk);
+        pending += chunk.byteLength;
+        if (pending >= 8 * 1024 * 1024) {
+          blob = new Blob([blob, ...parts], {
+            type: mimeType
+          });
+          parts = [];
+          pending = 0;
+        }
+      }
+      return new Blob([blob, ...parts], {
+        type: mimeType
+      });
+    }
+
+    if (format === 'readable') {
+      return new ReadableStream({
+        async pull(controller) {
+          const { value, done } = await chunks.next();
+          if (done) {
+            controller.close();
+          } else {
+            controller.enqueue(value);
+          }
+        },
+        async cancel() {
+          await chunks.return();
+        }
+      });
+    }
+
+    throw new Error(`Unknown stream format: ${format}`);
+  }
+
+  // OCF: mimetype is the first entry of the archive and is stored uncompressed
+  static _mimetypeProblem(entries) {
+    if (entries.length === 0 || entries[0].path !== 'mimetype') {
+      return `mimetype must be the first file in the archive, found "${entries[0] ? entries[0].path : 'nothing'}"`;
+    }
+    if (entries[0].compression !== 'STORE') {
+      return 'mimetype must be stored uncompressed';
+    }
+    return null;
+  }
+
+  async *_zipChunks(onProgress, entries) {
+    if (entries.length > 0xFFFF) {
+      throw new Error('Too many files for a ZIP archive without ZIP64');
+    }
+
+    const encoder = new TextEncoder();
+    const date = new Date(this.env.clock());
+    const dosTime = (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1);
+    const dosDate = ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate();
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const raw = await entry.data();
+      const data = EpubSaver._toBytes(raw);
+      const name = encoder.encode(entry.path);
+      const crc = EpubSaver._crc32(data);
+
+      let method = 0;
+      let compressed = data;
+      if (entry.compression !== 'STORE' && this.env.deflateRaw) {
+        compressed = await this.env.deflateRaw(data);
+        method = 8;
+      }
+      if (offset > 0xFFFFFFFF || compressed.byteLength > 0xFFFFFFFF) {
+        throw new Error('EPUB is too large for a ZIP archive without ZIP64');
+      }
+
+      // Local file header, general purpose flag 0x0800 marks UTF-8 file names
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 0x0800, true);
+      header.setUint16(8, method, true);
+      header.setUint16(10, dosTime, true);
+      header.setUint16(12, dosDate, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, compressed.byteLength, true);
+      header.setUint32(22, data.byteLength, true);
+      header.setUint16(26, name.byteLength, true);
+      header.setUint16(28, 0, true);
+
+      yield new Uint8Array(header.buffer);
+      yield name;
+      yield compressed;
+
+      centralDirectory.push({
+        name,
+        method,
+        crc,
+        compressedSize: compressed.byteLength,
+        size: data.byteLength,
+        offset
+      });
+      offset += 30 + name.byteLength + compressed.byteLength;
+
+      if (onProgress) {
+        onProgress({
+          phase: 'packaging',
+          done: i + 1,
+          total: entries.length
+        });
+      }
+    }
+
+    let directorySize = 0;
+    for (const file of centralDirectory) {
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 20, true);
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, file.method, true);
+      header.setUint16(12, dosTime, true);
+      header.setUint16(14, dosDate, true);
+      header.setUint32(16, file.crc, true);
+      header.setUint32(20, file.compressedSize, true);
+      header.setUint32(24, file.size, true);
+      header.setUint16(28, file.name.byteLength, true);
+      header.setUint32(42, file.offset, true);
+      yield new Uint8Array(header.buffer);
+      yield file.name;
+      directorySize += 46 + file.name.byteLength;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, centralDirectory.length, true);
+    end.setUint16(10, centralDirectory.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    yield new Uint8Array(end.buffer);
+  }
+
+  static _crc32(data) {
+    if (!EpubSaver._crcTable) {
+      EpubSaver._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        EpubSaver._crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+      crc = EpubSaver._crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  static async load(input, options = {}) {
+    const saver = new EpubSaver(options);
+    const zip = await new saver.env.JSZip().loadAsync(input);
+    const parser = new saver.env.DOMParser();
+
+    const readFile = async (path, type = 'string') => {
+      const file = zip.file(path);
+      if (!file) {
+        throw new Error(`File not found in EPUB: ${path}`);
+      }
+      return await file.async(type);
+    };
+
+    const parseXml = (text, path) => {
+      const doc = parser.parseFromString(text, 'application/xml');
+      if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error(`Failed to parse ${path}`);
+      }
+      return doc;
+    };
+
+    // container.xml -> content.opf
+    const containerDoc = parseXml(await readFile('META-INF/container.xml'), 'META-INF/container.xml');
+    const rootfile = EpubSaver._elements(containerDoc, 'rootfile')[0];
+    const opfPath = rootfile && rootfile.getAttribute('full-path');
+    if (!opfPath) {
+      throw new Error('No rootfile found in META-INF/container.xml');
+    }
+    const opfDoc = parseXml(await readFile(opfPath), opfPath);
+    const packageElement = opfDoc.documentElement;
+
+    // Metadata: every Dublin Core element with its refinements, the unique identifier first
+    const uniqueId = packageElement.getAttribute('unique-identifier');
+    const metadataElement = EpubSaver._elements(opfDoc, 'metadata')[0];
+    let coverImageId = null;
+    if (metadataElement) {
+      const children = Array.from(metadataElement.childNodes).filter(node => node.nodeType === 1);
+      const refinements = new Map(); // id -> {property: value}
+      for (const element of children) {
+        const target = element.localName === 'meta' && (element.getAttribute('refines') || '').replace(/^#/, '');
+        if (!target) continue;
+        const properties = refinements.get(target) || {};
+        properties[element.getAttribute('property')] = element.textContent.trim();
+        refinements.set(target, properties);
+      }
+
+      const dcElements = children.filter(element => element.namespaceURI === 'http://purl.org/dc/elements/1.1/');
+      const uniqueElement = dcElements.find(element => element.localName === 'identifier' && uniqueId && element.getAttribute('id') === uniqueId);
+      if (uniqueElement) {
+        dcElements.splice(dcElements.indexOf(uniqueElement), 1);
+        dcElements.unshift(uniqueElement);
+      }
+
+      const replaced = new Set();
+      for (const element of dcElements) {
+        const key = element.localName;
+        const refined = refinements.get(element.getAttribute('id')) || {};
+        const options = {};
+        for (const attr of Array.from(element.attributes)) {
+          if (attr.name === 'id' || attr.name.startsWith('xmlns')) continue;
+          // EPUB2 attributes such as opf:role and opf:file-as map onto the same options
+          if (['xml:lang', 'dir', 'opf:role', 'opf:file-as', 'opf:scheme'].includes(attr.name)) {
+            options[attr.name] = attr.value;
+          }
+        }
+        if (refined.role) options.role = refined.role;
+        if (refined['file-as']) options.fileAs = refined['file-as'];
+        if (refined['display-seq']) options.displaySeq = Number(refined['display-seq']);
+        if (refined['title-type']) options.titleType = refined['title-type'];
+        if (refined['identifier-type']) {
+          options.scheme = {
+            '02': 'ISBN',
+            '15': 'ISBN',
+            '22': 'URN'
+          }[refined['identifier-type']] || refined['identifier-type'];
+        }
+
+        // The first value replaces the constructor defaults, later ones are appended
+        if (replaced.has(key)) {
+          saver.addInfo(key, element.textContent.trim(), options);
+        } else {
+          replaced.add(key);
+          saver.setInfo(key, element.textContent.trim(), options);
+        }
+      }
+
+      // Written again on save from the cover, options.writingMode and the series, importing them would repeat them
+      const generatedNames = ['cover', 'primary-writing-mode', 'calibre:series', 'calibre:series_index'];
+      for (const element of children) {
+        if (element.localName !== 'meta') continue;
+        const name = element.getAttribute('name');
+        const property = element.getAttribute('property');
+        if (name === 'cover') {
+          coverImageId = element.getAttribute('content');
+        } else if (property === 'belongs-to-collection' && !saver.getInfo('series')) {
+          const refined = refinements.get(element.getAttribute('id')) || {};
+          saver.setSeries(element.textContent.trim(), refined['group-position'] ? Number(refined['group-position']) : undefined);
+        } else if (name === 'calibre:series' && !saver.getInfo('series')) {
+          const index = children.find(meta => meta.getAttribute('name') === 'calibre:series_index');
+          saver.setSeries(element.getAttribute('content'), index ? Number(index.getAttribute('content')) : undefined);
+        } else if (name && !generatedNames.includes(name) && element.hasAttribute('content')) {
+          saver.addInfo(name, element.getAttribute('content'));
+        }
+      }
+    }
+
+    // Manifest
+    const manifest = new Map(); // id -> {path, mediaType, properties}
+    const manifestByPath = new Map();
+    for (const item of EpubSaver._elements(opfDoc, 'item')) {
+      const entry = {
+        id: item.getAttribute('id'),
+        path: EpubSaver._resolvePath(opfPath, item.getAttribute('href')),
+        mediaType: item.getAttribute('media-type') || '',
+        properties: (item.getAttribute('properties') || '').split(/\s+/).filter(Boolean)
+      };
+      manifest.set(entry.id, entry);
+      manifestByPath.set(entry.path, entry);
+    }
+
+    const coverImage = Array.from(manifest.values()).find(item => item.properties.includes('cover-image')) ||
+      manifest.get(coverImageId);
+    const navItem = Array.from(manifest.values()).find(item => item.properties.includes('nav'));
+    const spineElement = EpubSaver._elements(opfDoc, 'spine')[0];
+    const ncxItem = manifest.get(spineElement && spineElement.getAttribute('toc')) ||
+      Array.from(manifest.values()).find(item => item.mediaType === 'application/x-dtbncx+xml');
+
+    const spinePaths = EpubSaver._elements(opfDoc, 'itemref')
+      .map(itemref => manifest.get(itemref.getAttribute('idref')))
+      .filter(item => item && item !== navItem)
+      .map(item => item.path);
+
+    // Obfuscated fonts listed in META-INF/encryption.xml: zip path -> 'idpf' | 'adobe'
+    const encryptedFonts = new Map();
+    if (zip.file('META-INF/encryption.xml')) {
+      const encryptionDoc = parseXml(await readFile('META-INF/encryption.xml'), 'META-INF/encryption.xml');
+      for (const data of EpubSaver._elements(encryptionDoc, 'EncryptedData')) {
+        const method = EpubSaver._elements(data, 'EncryptionMethod')[0];
+        const reference = EpubSaver._elements(data, 'CipherReference')[0];
+        const algorithm = {
+          'http://www.idpf.org/2008/embedding': 'idpf',
+          'http://ns.adobe.com/pdf/enc#RC': 'adobe'
+        }[method && method.getAttribute('Algorithm')];
+        if (algorithm && reference) {
+          encryptedFonts.set(EpubSaver._resolvePath('', reference.getAttribute('URI')), algorithm);
+        }
+      }
+    }
+
+    // New locations for every resource, used to rewrite references inside documents
+    const pathMapping = new Map(); // old zip path -> new path relative to OEBPS
+    if (navItem) pathMapping.set(navItem.path, 'nav.xhtml');
+
+    if (coverImage) {
+      const buffer = await readFile(coverImage.path, 'arraybuffer');
+      const image = await saver._processImage(buffer, EpubSaver._sniffImage(buffer)?.extension ||
+        EpubSaver._extname(coverImage.path) || 'jpg');
+      saver.coverBuffer = image.buffer;
+      saver.coverExtension = image.extension;
+      pathMapping.set(coverImage.path, `Images/cover.${saver.coverExtension}`);
+    }
+
+    for (const item of manifest.values()) {
+      if (item === coverImage) continue;
+      const basename = item.path.split('/').pop();
+
+      if (item.mediaType.startsWith('image/')) {
+        const extension = EpubSaver._extname(basename) || 'jpg';
+        const image = await saver._processImage(await readFile(item.path, 'arraybuffer'), extension);
+        const name = image.extension === extension ? basename : basename.replace(/(\.[^.]+)?$/, `.${image.extension}`);
+        let filename = name;
+        let counter = 1;
+        while (saver.images.has(filename) || filename.startsWith('cover.')) {
+          filename = `${counter++}_${name}`;
+        }
+        saver.images.set(filename, {
+          buffer: image.buffer,
+          extension: image.extension,
+          originalUrl: item.path
+        });
+        pathMapping.set(item.path, `Images/${filename}`);
+      } else if (item.mediaType === 'text/css') {
+        let filename = basename;
+        const match = basename.match(/^style(\d+)\.css$/);
+        if (match && !saver.cssFiles.has(Number(match[1]))) {
+          saver.cssFiles.set(Number(match[1]), {
+            content: null,
+            mappath: undefined
+          });
+        } else {
+          let counter = 1;
+          while (saver.cssMap.has(filename) || /^style\d+\.css$/.test(filename)) {
+            filename = `${counter++}_${basename}`;
+          }
+          saver.cssMap.set(filename, null);
+        }
+        pathMapping.set(item.path, `Styles/${filename}`);
+      } else if (/^(font\/|application\/(font|x-font|vnd\.ms-opentype))/.test(item.mediaType)) {
+        // The stylesheets already declare these fonts, only the files are carried over
+        let filename = basename;
+        let counter = 1;
+        while (saver.fonts.has(filename)) {
+          filename = `${counter++}_${basename}`;
+        }
+        const obfuscate = encryptedFonts.get(item.path) || false;
+        let buffer = await readFile(item.path, 'arraybuffer');
+        if (obfuscate) {
+          buffer = EpubSaver._obfuscateFont(buffer, saver.getInfo('identifier'), obfuscate);
+        }
+        saver.fonts.set(filename, {
+          name: filename,
+          buffer,
+          mediaType: EpubSaver._sniffFont(buffer)?.mediaType || item.mediaType,
+          weight: 'normal',
+          style: 'normal',
+          apply: null,
+          obfuscate,
+          subset: false,
+          fontFace: false
+        });
+        pathMapping.set(item.path, `Fonts/${filename}`);
+      } else if (item !== navItem && item !== ncxItem && !item.mediaType.includes('html')) {
+        console.warn(`Unsupported resource skipped while loading EPUB: ${item.path} (${item.mediaType})`);
+      }
+    }
+
+    // Table of contents: prefer the EPUB3 nav document, fall back to the NCX
+    let toc = [];
+    if (navItem) {
+      toc = EpubSaver._parseNavToc(parseXml(await readFile(navItem.path), navItem.path), navItem.path);
+    }
+    if (toc.length === 0 && ncxItem) {
+      toc = EpubSaver._parseNcxToc(parseXml(await readFile(ncxItem.path), ncxItem.path), ncxItem.path);
+    }
+
+    // Load every spine document once
+    const documents = new Map(); // path -> Document
+    for (const path of spinePaths) {
+      if (documents.has(path)) continue;
+      const text = await readFile(path);
+      let doc = parser.parseFromString(text, 'application/xhtml+xml');
+      if (doc.getElementsByTagName('parsererror').length > 0) {
+        doc = parser.parseFromString(text, 'text/html');
+      }
+      documents.set(path, doc);
+    }
+
+    // The cover page is regenerated by save(), so drop the document that only shows the cover image
+    let coverPagePath = null;
+    if (coverImage && spinePaths.length > 0) {
+      const firstDoc = documents.get(spinePaths[0]);
+      const body = firstDoc.getElementsByTagName('body')[0];
+      const references = Array.from(firstDoc.getElementsByTagName('*'))
+        .map(element => element.getAttribute('src') || element.getAttribute('xlink:href') ||
+          element.getAttributeNS('http://www.w3.org/1999/xlink', 'href'))
+        .filter(Boolean)
+        .map(src => EpubSaver._resolvePath(spinePaths[0], src));
+      if (references.includes(coverImage.path) && (!body || body.textContent.trim() === '')) {
+        coverPagePath = spinePaths[0];
+        pathMapping.set(coverPagePath, 'Text/cover.xhtml');
+      }
+    }
+
+    // Group spine documents into volumes using the top level of the TOC
+    const tocTitles = new Map(); // path -> first TOC label
+    const groupByPath = new Map();
+    const collectPaths = (nodes, paths) => {
+      for (const node of nodes) {
+        if (node.path && !tocTitles.has(node.path)) tocTitles.set(node.path, node.title);
+        if (node.path && !paths.includes(node.path)) paths.push(node.path);
+        collectPaths(node.children, paths);
+      }
+      return paths;
+    };
+    for (const node of toc) {
+      if (!node.path || node.path === coverPagePath) continue;
+      const childPaths = collectPaths(node.children, []);
+      const group = {
+        title: node.title,
+        hasChildren: childPaths.length > 0,
+        volumePage: childPaths.length > 0 && !childPaths.includes(node.path) ? node.path : null,
+        volume: null
+      };
+      if (!tocTitles.has(node.path) || childPaths.length === 0) tocTitles.set(node.path, node.title);
+      for (const path of [node.path, ...childPaths]) {
+        if (!groupByPath.has(path)) groupByPath.set(path, group);
+      }
+    }
+
+    const chapterPaths = [];
+    let currentGroup = null;
+    let volIdx = 0;
+    for (const path of spinePaths) {
+      if (path === coverPagePath) continue;
+      const group = groupByPath.get(path);
+      if (group) {
+        currentGroup = group;
+      } else if (!currentGroup) {
+        currentGroup = {
+          title: saver.getInfo('title') || 'Untitled Book',
+          hasChildren: true,
+          volumePage: null,
+          volume: null
+        };
+      }
+
+      if (!currentGroup.volume) {
+        currentGroup.volume = await saver.addVolume(volIdx++, currentGroup.title);
+      }
+      const volume = currentGroup.volume;
+
+      if (path === currentGroup.volumePage) {
+        const hasList = documents.get(path).getElementsByTagName('li').length > 0;
+        volume.options.createVolumePage = true;
+        volume.options.volumePageType = hasList ? 'navigator' : 'blank';
+        pathMapping.set(path, `Text/volume${EpubSaver._indexName(volume.idx)}_index.xhtml`);
+        continue;
+      }
+
+      const chapIdx = volume.chapters.size;
+      const doc = documents.get(path);
+      const titleElement = doc.getElementsByTagName('title')[0];
+      const docTitle = titleElement ? titleElement.textContent.trim() : '';
+      const title = groupByPath.get(path)?.hasChildren === false ?
+        (docTitle || tocTitles.get(path)) :
+        (tocTitles.get(path) || docTitle || path.split('/').pop());
+
+      volume.chapters.set(chapIdx, {
+        title,
+        content: null,
+        type: 'xhtml',
+        useGlobalCSS: false,
+        cssIdxs: [],
+        insertTitle: false
+      });
+      pathMapping.set(path, `Text/volume${EpubSaver._indexName(volume.idx)}_chapter${EpubSaver._indexName(chapIdx)}.xhtml`);
+      chapterPaths.push({ path, chapter: volume.chapters.get(chapIdx) });
+    }
+
+    for (const group of new Set(groupByPath.values())) {
+      if (group.volume && group.hasChildren && group.volume.chapters.size === 1 && !group.volume.options.createVolumePage) {
+        group.volume.options.alwaysShowVolumeTitle = true;
+      }
+    }
+
+    // Now that every new location is known, rewrite references and store the content
+    const serializer = new saver.env.XMLSerializer();
+    for (const { path, chapter } of chapterPaths) {
+      const doc = documents.get(path);
+      EpubSaver._rewriteReferences(doc, path, `OEBPS/${pathMapping.get(path)}`, pathMapping);
+      chapter.content = serializer.serializeToString(doc);
+    }
+
+    for (const item of manifest.values()) {
+      if (item.mediaType !== 'text/css' || !pathMapping.has(item.path)) continue;
+      const newPath = pathMapping.get(item.path);
+      const content = (await readFile(item.path)).replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) => {
+        const rewritten = EpubSaver._rewriteUrl(url, item.path, `OEBPS/${newPath}`, pathMapping);
+        return `url(${quote}${rewritten}${quote})`;
+      });
+      const filename = newPath.substring('Styles/'.length);
+      const match = filename.match(/^style(\d+)\.css$/);
+      if (match && saver.cssFiles.has(Number(match[1]))) {
+        saver.cssFiles.get(Number(match[1])).content = content;
+      } else {
+        saver.cssMap.set(filename, content);
+      }
+    }
+
+    return saver;
+  }
+
+  // Omnibus of several books (EpubSaver instances or EPUB data): every source becomes a top-level volume
+  // holding its own volumes. Images, CSS and fonts with identical content are stored once.
+  // options: the new book's EpubSaver options, plus title (defaults to the shared series name or the joined titles)
+  static async merge(sources, options = {}) {
+    const { title, ...saverOptions } = options;
+    const book = new EpubSaver(saverOptions);
+    const savers = [];
+    for (const source of sources) {
+      savers.push(source instanceof EpubSaver ? source : await EpubSaver.load(source, { env: saverOptions.env }));
+    }
+    if (savers.length === 0) {
+      throw new Error('Nothing to merge');
+    }
+
+    // Metadata of the first book, people and subjects of all of them
+    for (const [key, entries] of savers[0].metadata) {
+      if (['identifier', 'title', 'series', 'date', 'modified'].includes(key)) continue;
+      book.metadata.set(key, entries.map(entry => ({ ...entry })));
+    }
+    for (const saver of savers.slice(1)) {
+      for (const key of ['creator', 'contributor', 'subject']) {
+        const entries = book.metadata.get(key) || [];
+        for (const entry of saver.metadata.get(key) || []) {
+          if (!entries.some(existing => existing.value === entry.value)) entries.push({ ...entry });
+        }
+        if (entries.length > 0) book.metadata.set(key, entries);
+      }
+    }
+    const series = savers.map(saver => saver.getInfo('series'));
+    const sameSeries = series[0] && series.every(name => name === series[0]);
+    await book.setInfo('title', title || (sameSeries ? series[0] : savers.map(saver => saver.getInfo('title')).join(' / ')));
+
+    const cover = savers.find(saver => saver.coverBuffer && !saver.coverGenerated);
+    if (cover) {
+      book.coverBuffer = cover.coverBuffer;
+      book.coverExtension = cover.coverExtension;
+    }
+
+    let nextVolIdx = 0;
+    for (const saver of savers) {
+      const renamed = {
+        images: new Map(), // old filename -> new
+        fonts: new Map(), // old filename -> new
+        styles: new Map(), // old path in Styles/ -> new
+        volumes: new Map() // old volume index -> new
+      };
+      const cssIdxs = new Map(); // old addCSS index -> new
+      const remap = content => EpubSaver._remapReferences(content, renamed);
+
+      for (const [filename, image] of saver._imagesInOrder()) {
+        renamed.images.set(filename, await book._storeImage(image.buffer, EpubSaver._imageMediaType(image.extension), image.originalUrl));
+      }
+      // Fonts first, stylesheets refer to them. The same file name with other data gets a new name.
+      for (const [filename, font] of saver.fonts) {
+        const hash = EpubSaver._hex(EpubSaver._sha1(font.buffer));
+        let target = filename;
+        for (let n = 2; book.fonts.has(target) && EpubSaver._hex(EpubSaver._sha1(book.fonts.get(target).buffer)) !== hash; n++) {
+          target = filename.replace(/(\.[^.]+)?$/, `-${n}$1`);
+        }
+        if (!book.fonts.has(target)) book.fonts.set(target, { ...font });
+        renamed.fonts.set(filename, target);
+      }
+      for (const [idx, css] of saver.cssFiles) {
+        const content = remap(css.content);
+        let target = Array.from(book.cssFiles.entries()).find(([, existing]) => existing.content === content)?.[0];
+        if (target === undefined) {
+          target = book.cssFiles.has(idx) ? Math.max(...book.cssFiles.keys()) + 1 : idx;
+          book.cssFiles.set(target, { ...css, content });
+        }
+        cssIdxs.set(idx, target);
+        renamed.styles.set(`style${idx}.css`, `style${target}.css`);
+      }
+      for (const [path, original] of saver.cssMap) {
+        const content = remap(original);
+        let target = path;
+        for (let n = 2; book.cssMap.has(target) && book.cssMap.get(target) !== content; n++) {
+          target = path.replace(/(\.css)?$/, `-${n}$1`);
+        }
+        book.cssMap.set(target, content);
+        renamed.styles.set(path, target);
+      }
+
+      const top = nextVolIdx++;
+      await book.addVolume(top, saver.getInfo('title') || `${top + 1}`, { alwaysShowVolumeTitle: true });
+      const ordered = saver._volumesInOrder();
+      for (const [volIdx] of ordered) renamed.volumes.set(volIdx, nextVolIdx++);
+      // A global stylesheet that differs from the book's becomes a chapter stylesheet
+      const globalCss = cssIdxs.get(0);
+      for (const [volIdx, volume] of ordered) {
+        const parent = saver._parentVolume(volume);
+        const target = await book.addVolume(renamed.volumes.get(volIdx), volume.title, {
+          ...volume.options,
+          parent: parent === null ? top : renamed.volumes.get(parent)
+        });
+        for (const [chapIdx, chapter] of volume.orderedChapters()) {
+          const chapterCss = (chapter.cssIdxs || []).map(idx => cssIdxs.get(idx) ?? idx);
+          const useOwnGlobal = chapter.useGlobalCSS && globalCss !== undefined && globalCss !== 0;
+          target.chapters.set(chapIdx, {
+            ...chapter,
+            content: remap(chapter.content),
+            useGlobalCSS: chapter.useGlobalCSS && !useOwnGlobal,
+            cssIdxs: useOwnGlobal ? [globalCss, ...chapterCss] : chapterCss,
+            images: chapter.images && chapter.images.map(image => ({
+              ...image,
+              src: remap(image.src),
+              filename: renamed.images.get(image.filename) || image.filename
+            })),
+            notes: (chapter.notes || []).map(note => ({
+              ...note,
+              content: remap(note.content)
+            }))
+          });
+        }
+      }
+    }
+    return book;
+  }
+
+  // Point ../Images/, ../Fonts/, ../Styles/ and volume file references of copied content at their new names.
+  // Chapter parts are kept as written, including _indexName() spellings like chapterm1 or chapter2_5.
+  static _remapReferences(content, { images, fonts, styles, volumes }) {
+    if (typeof content !== 'string') return content;
+    const folder = (name, map) => (match, file) => map.has(file) ? `../${name}/${map.get(file)}` : match;
+    const volumeNames = new Map(Array.from(volumes, ([from, to]) => [EpubSaver._indexName(from), EpubSaver._indexName(to)]));
+    return content
+      .replace(/\.\.\/Images\/([^"'()\s<>]+)/g, folder('Images', images))
+      .replace(/\.\.\/Fonts\/([^"'()\s<>]+)/g, folder('Fonts', fonts))
+      .replace(/\.\.\/Styles\/([^"'()\s<>]+)/g, folder('Styles', styles))
+      .replace(/\bvolume(m?\d+(?:_\d+)?)_(chapter\w+|index|notes)\.xhtml/g, (match, name, rest) =>
+        volumeNames.has(name) ? `volume${volumeNames.get(name)}_${rest}.xhtml` : match);
+  }
+
+  // Split into parts of at most `chapters` chapters and/or about `bytes` bytes (text, images and audio).
+  // volumes: true keeps top-level volumes whole; alone it makes one part per top-level volume.
+  // Every part is a book of its own: new identifier, "Part N" after the title and the book title as series.
+  async split(options = {}) {
+    const maxChapters = options.chapters || Infinity;
+    const maxBytes = options.bytes || Infinity;
+    if (maxChapters === Infinity && maxBytes === Infinity && !options.volumes) {
+      throw new Error('split() needs chapters, bytes or volumes');
+    }
+
+    const imageRefs = chapter => {
+      const refs = new Set();
+      for (const text of [chapter.content, ...(chapter.notes || []).map(note => note.content)]) {
+        if (typeof text !== 'string') continue;
+        for (const [, name] of text.matchAll(/\.\.\/Images\/([^"'()\s<>]+)/g)) refs.add(name);
+      }
+      for (const image of chapter.images || []) {
+        if (image.filename) refs.add(image.filename);
+      }
+      return refs;
+    };
+    const chapterBytes = chapter => EpubSaver._toBytes(typeof chapter.content === 'string' ? chapter.content : '').byteLength +
+      (chapter.audio ? EpubSaver._toBytes(chapter.audio.buffer).byteLength : 0);
+    const imageBytes = name => this.images.has(name) ? EpubSaver._toBytes(this.images.get(name).buffer).byteLength : 0;
+
+    // Units that stay together: single chapters, or whole top-level volumes
+    const ordered = this._volumesInOrder();
+    const topLevel = volume => {
+      while (this._parentVolume(volume) !== null) volume = this.volumes.get(this._parentVolume(volume));
+      return volume.idx;
+    };
+    const units = [];
+    for (const [volIdx, volume] of ordered) {
+      for (const [chapIdx, chapter] of volume.orderedChapters()) {
+        const group = options.volumes ? topLevel(volume) : `${volIdx}-${chapIdx}`;
+        let unit = units[units.length - 1];
+        if (!unit || unit.group !== group) {
+          unit = {
+            group,
+            chapters: []
+          };
+          units.push(unit);
+        }
+        unit.chapters.push({ volIdx, chapIdx, chapter });
+      }
+    }
+
+    // Greedy packing; a unit larger than the limit still gets a part of its own
+    const partsChapters = [];
+    let current = null;
+    for (const unit of units) {
+      const refs = new Set(unit.chapters.flatMap(({ chapter }) => Array.from(imageRefs(chapter))));
+      let bytes = unit.chapters.reduce((sum, { chapter }) => sum + chapterBytes(chapter), 0);
+      const newImages = current ? Array.from(refs).filter(name => !current.images.has(name)) : Array.from(refs);
+      bytes += newImages.reduce((sum, name) => sum + imageBytes(name), 0);
+
+      const fits = current && (maxChapters !== Infinity || maxBytes !== Infinity) &&
+        current.chapters.length + unit.chapters.length <= maxChapters && current.bytes + bytes <= maxBytes;
+      if (!fits) {
+        current = {
+          chapters: [],
+          images: new Set(),
+          bytes: 0
+        };
+        partsChapters.push(current);
+        bytes = unit.chapters.reduce((sum, { chapter }) => sum + chapterBytes(chapter), 0) +
+          Array.from(refs).reduce((sum, name) => sum + imageBytes(name), 0);
+      }
+      current.chapters.push(...unit.chapters);
+      refs.forEach(name => current.images.add(name));
+      current.bytes += bytes;
+    }
+
+    const title = this.getInfo('title') || 'Untitled Book';
+    const deterministic = this.options.deterministic;
+    const parts = [];
+    for (const [i, contents] of partsChapters.entries()) {
+      const number = i + 1;
+      const part = new EpubSaver({
+        ...this.options,
+        env: this.env,
+        // Without a key the identifier of a reproducible part follows its own title
+        deterministic: deterministic && deterministic.key != null ? {
+          ...deterministic,
+          key: `${deterministic.key}#part${number}`
+        } : deterministic
+      });
+      part.i18n = this.i18n;
+      part._hooks = new Map(Array.from(this._hooks.entries()).map(([name, handlers]) => [name, [...handlers]]));
+
+      for (const [key, entries] of this.metadata) {
+        if (key === 'identifier' || key === 'series') continue;
+        part.metadata.set(key, entries.map(entry => ({ ...entry })));
+      }
+      await part.setInfo('title', `${title} ${this._t('part').replace('{n}', number)}`);
+      await part.setSeries(title, number);
+
+      part.coverBuffer = this.coverBuffer;
+      part.coverExtension = this.coverExtension;
+      part.coverGenerated = this.coverGenerated;
+      part.cssFiles = new Map(this.cssFiles);
+      part.cssMap = new Map(this.cssMap);
+      part.cssPathMapping = new Map(this.cssPathMapping);
+      part.fonts = new Map(this.fonts);
+      for (const [hash, filename] of this._imageHashes) {
+        if (contents.images.has(filename)) part._imageHashes.set(hash, filename);
+      }
+      for (const [filename, image] of this.images) {
+        if (contents.images.has(filename)) part.images.set(filename, image);
+      }
+
+      // Volumes keep their indexes, enclosing volumes come along for the table of contents
+      const volumeIdxs = new Set();
+      for (const { volIdx } of contents.chapters) {
+        for (let idx = volIdx; idx !== null && !volumeIdxs.has(idx); idx = this._parentVolume(this.volumes.get(idx))) {
+          volumeIdxs.add(idx);
+        }
+      }
+      for (const [volIdx, volume] of ordered) {
+        if (volumeIdxs.has(volIdx)) await part.addVolume(volIdx, volume.title, { ...volume.options });
+      }
+      for (const { volIdx, chapIdx, chapter } of contents.chapters) {
+        part.volumes.get(volIdx).chapters.set(chapIdx, { ...chapter });
+      }
+      parts.push(part);
+    }
+    return parts;
+  }
+
+  static _elements(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+  }
+
+  static _extname(path) {
+    const match = path.split('/').pop().match(/\.([a-zA-Z0-9]+)$/);
+    return match ? match[1].toLowerCase() : '';
+  }
+
+  // Resolve an href relative to the file that contains it, returns a zip path without fragment
+  static _resolvePath(basePath, href) {
+    const cleanHref = href.split('#')[0];
+    let decoded = cleanHref;
+    try {
+      decoded = decodeURIComponent(cleanHref);
+    } catch (error) {
+      // Keep malformed escapes as they are
+    }
+    const parts = decoded.startsWith('/') ? [] : basePath.split('/').slice(0, -1);
+    for (const part of decoded.split('/')) {
+      if (part === '..') parts.pop();
+      else if (part !== '.' && part !== '') parts.push(part);
+    }
+    return parts.join('/');
+  }
+
+  static _relativePath(fromPath, toPath) {
+    const fromParts = fromPath.split('/').slice(0, -1);
+    const toParts = toPath.split('/');
+    while (fromParts.length > 0 && toParts.length > 1 && fromParts[0] === toParts[0]) {
+      fromParts.shift();
+      toParts.shift();
+    }
+    return [...fromParts.map(() => '..'), ...toParts].join('/');
+  }
+
+  static _rewriteUrl(url, oldDocPath, newDocPath, pathMapping) {
+    if (!url || url.startsWith('#') || /^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(url)) return url;
+    const hashIndex = url.indexOf('#');
+    const fragment = hashIndex >= 0 ? url.substring(hashIndex) : '';
+    const target = pathMapping.get(EpubSaver._resolvePath(oldDocPath, url));
+    if (!target) return url;
+    return EpubSaver._relativePath(newDocPath, `OEBPS/${target}`) + fragment;
+  }
+
+  static _rewriteReferences(doc, oldDocPath, newDocPath, pathMapping) {
+    const xlinkNS = 'http://www.w3.org/1999/xlink';
+    for (const element of Array.from(doc.getElementsByTagName('*'))) {
+      for (const name of ['src', 'href', 'poster']) {
+        const value = element.getAttribute(name);
+        if (value) {
+          element.setAttribute(name, EpubSaver._rewriteUrl(value, oldDocPath, newDocPath, pathMapping));
+        }
+      }
+      const xlinkHref = element.getAttributeNS(xlinkNS, 'href');
+      if (xlinkHref) {
+        element.setAttributeNS(xlinkNS, 'xlink:href', EpubSaver._rewriteUrl(xlinkHref, oldDocPath, newDocPath, pathMapping));
+      }
+    }
+  }
+
+  static _parseNavToc(navDoc, navPath) {
+    const opsNS = 'http://www.idpf.org/2007/ops';
+    const tocNav = EpubSaver._elements(navDoc, 'nav').find(nav =>
+      (nav.getAttributeNS(opsNS, 'type') || nav.getAttribute('epub:type') || '').split(/\s+/).includes('toc'));
+    if (!tocNav) return [];
+
+    const parseList = list => {
+      const nodes = [];
+      for (const li of Array.from(list.childNodes)) {
+        if (li.nodeType !== 1 || li.localName !== 'li') continue;
+        const label = Array.from(li.childNodes).find(node => node.nodeType === 1 && (node.localName === 'a' || node.localName === 'span'));
+        const childList = Array.from(li.childNodes).find(node => node.nodeType === 1 && node.localName === 'ol');
+        const href = label && label.getAttribute('href');
+        nodes.push({
+          title: label ? label.textContent.trim() : '',
+          path: href ? EpubSaver._resolvePath(navPath, href) : null,
+          children: childList ? parseList(childList) : []
+        });
+      }
+      return nodes;
+    };
+
+    const rootList = Array.from(tocNav.childNodes).find(node => node.nodeType === 1 && node.localName === 'ol');
+    return rootList ? parseList(rootList) : [];
+  }
+
+  static _parseNcxToc(ncxDoc, ncxPath) {
+    const parsePoints = parent => {
+      const nodes = [];
+      for (const navPoint of Array.from(parent.childNodes)) {
+        if (navPoint.nodeType !== 1 || navPoint.localName !== 'navPoint') continue;
+        const text = EpubSaver._elements(navPoint, 'text')[0];
+        const content = Array.from(navPoint.childNodes).find(node => node.nodeType === 1 && node.localName === 'content');
+        const src = content && content.getAttribute('src');
+        nodes.push({
+          title: text ? text.textContent.trim() : '',
+          path: src ? EpubSaver._resolvePath(ncxPath, src) : null,
+          children: parsePoints(navPoint)
+        });
+      }
+      return nodes;
+    };
+
+    const navMap = EpubSaver._elements(ncxDoc, 'navMap')[0];
+    return navMap ? parsePoints(navMap) : [];
+  }
+}
+
+class EpubValidationError extends Error {
+  constructor(issues) {
+    super(`EPUB validation failed with ${issues.length} error(s):\n` +
+      issues.map(issue => `  ${issue.file}: ${issue.message}`).join('\n'));
+    this.name = 'EpubValidationError';
+    this.issues = issues;
+  }
+}
+
+class EpubVolume {
+  constructor(idx, title, saver, options = {}) {
+    this.idx = idx;
+    this.title = title;
+    this.saver = saver;
+    this.options = {
+      alwaysShowVolumeTitle: false, // Controls whether single chapters show volume title in TOC
+      createVolumePage: false, // Controls whether volume gets its own dedicated XHTML page
+      volumePageType: 'navigator', // 'navigator' (show chapters) or 'blank' (only title) - only when createVolumePage is true
+      parent: null, // index of the enclosing volume, for parts -> volumes -> chapters
+      ...options
+    };
+    this.chapters = new Map();
+  }
+
+  // Chapters in reading order as [idx, chapter]
+  orderedChapters() {
+    return Array.from(this.chapters.entries()).sort(([a], [b]) => a - b);
+  }
+
+  // A free index right after `afterIdx` (null: before the first chapter), halfway to the next one
+  _indexAfter(afterIdx) {
+    const indices = this.orderedChapters().map(([idx]) => idx);
+    if (indices.length === 0) return 0;
+    if (afterIdx === null) return indices[0] - 1;
+    const next = indices.find(idx => idx > afterIdx);
+    if (next === undefined) return Math.floor(afterIdx) + 1;
+    const idx = (afterIdx + next) / 2;
+    if (idx === afterIdx || idx === next) {
+      throw new Error(`No index left between chapters ${afterIdx} and ${next} of volume ${this.idx}`);
+    }
+    return Number.isInteger(afterIdx) && next - afterIdx > 1 ? afterIdx + 1 : idx;
+  }
+
+  // Same arguments as addChapter after the first one; returns the new chapter's index
+  async insertChapterAfter(afterIdx, title, content, ...options) {
+    const idx = this._indexAfter(afterIdx);
+    await this.addChapter(idx, title, content, ...options);
+    return idx;
+  }
+
+  // Same arguments as addChapter, for a chapter that exists
+  async replaceChapter(idx, title, content, ...options) {
+    if (!this.chapters.has(idx)) {
+      throw new Error(`Volume ${this.idx} has no chapter ${idx}`);
+    }
+    await this.addChapter(idx, title, content, ...options);
+  }
+
+  removeChapter(idx) {
+    const chapter = this.chapters.get(idx);
+    if (!chapter) return null;
+    this.chapters.delete(idx);
+    this.saver._emit('chapterRemoved', {
+      volIdx: this.idx,
+      volume: this,
+      chapIdx: idx,
+      chapter
+    });
+    return chapter;
+  }
+
+  // Move a chapter behind `afterIdx` in `target` (this volume, another volume or its index);
+  // undefined appends it, null puts it first. Returns the chapter's new index.
+  moveChapter(idx, target = this, afterIdx = undefined) {
+    const chapter = this.chapters.get(idx);
+    if (!chapter) {
+      throw new Error(`Volume ${this.idx} has no chapter ${idx}`);
+    }
+    const volume = target instanceof EpubVolume ? target : this.saver.volumes.get(target);
+    if (!volume) {
+      throw new Error(`No volume ${target}`);
+    }
+
+    this.chapters.delete(idx);
+    const last = volume.orderedChapters().pop();
+    const newIdx = afterIdx === undefined ? (last ? Math.floor(last[0]) + 1 : 0) : volume._indexAfter(afterIdx);
+    volume.chapters.set(newIdx, chapter);
+    this.saver._emit('chapterMoved', {
+      volIdx: volume.idx,
+      volume,
+      chapIdx: newIdx,
+      chapter,
+      fromVolIdx: this.idx,
+      fromChapIdx: idx
+    });
+    return newIdx;
+  }
+
+  // The fourth argument may also be an options object:
+  // {type, useGlobalCSS, cssIdxs, insertTitle, notes: [{id, content, type}],
+  //  sections: [{title, anchor, children}], pages: [{label, anchor}], audio: {buffer, duration, clips}}
+  async addChapter(idx, title, content, type = 'text', useGlobalCSS = false, cssIdxs = [], insertTitle = undefined) {
+    let notes = [];
+    let sections = [];
+    let pages = [];
+    let audio = null;
+    if (type && typeof type === 'object') {
+      ({
+        type = 'text',
+        useGlobalCSS = false,
+        cssIdxs = [],
+        insertTitle = undefined,
+        notes = [],
+        sections = [],
+        pages = [],
+        audio = null
+      } = type);
+    }
+
+    if (this.saver._hasHooks('beforeAddChapter')) {
+      ({
+        title,
+        content,
+        type,
+        useGlobalCSS,
+        cssIdxs,
+        insertTitle,
+        notes,
+        sections,
+        pages,
+        audio
+      } = await this.saver._runHook('beforeAddChapter', {
+        title,
+        content,
+        type,
+        useGlobalCSS,
+        cssIdxs,
+        insertTitle,
+        notes,
+        sections,
+        pages,
+        audio
+      }, {
+        volume: this,
+        idx
+      }));
+    }
+
+    // Process CSS links and download images from HTML/XHTML content
+    let processedContent = content;
+    if (type === 'html' || type === 'xhtml') {
+      processedContent = await this.saver._processCSSLinksInContent(content);
+      processedContent = await this.saver._downloadImagesFromContent(processedContent);
+    }
+
+    const replaced = this.chapters.has(idx);
+    this.chapters.set(idx, {
+      title, // chapter title
+      content: processedContent,
+      type, // content_type
+      useGlobalCSS,
+      cssIdxs,
+      insertTitle, // undefined -> auto detect || true -> always insert || false -> never insert
+      notes: notes.map(note => ({
+        type: 'text',
+        ...note
+      })),
+      sections, // sub-entries of the table of contents pointing at anchors in the content
+      pages // page-list entries
+    });
+
+    if (audio) {
+      const { buffer, url, ...audioOptions } = audio;
+      await this.addAudio(idx, buffer || url, audioOptions);
+    }
+    this._emitAdded(idx, replaced);
+  }
+
+  _emitAdded(idx, replaced) {
+    this.saver._emit(replaced ? 'chapterReplaced' : 'chapterAdded', {
+      volIdx: this.idx,
+      volume: this,
+      chapIdx: idx,
+      chapter: this.chapters.get(idx)
+    });
+  }
+
+  // Fixed-layout chapter with one page per image; inputs are URLs (fetched by the image downloader) or image buffers
+  async addImagePages(idx, title, inputs, options = {}) {
+    const saver = this.saver;
+    const pageSize = saver.options.pageSize;
+
+    const images = await Promise.all(inputs.map(async input => {
+      const filename = typeof input === 'string' ?
+        await saver._downloadImage(input) :
+        await saver._storeImage(input, null, null);
+      if (filename) {
+        const size = EpubSaver._imageSize(saver.images.get(filename).buffer) || pageSize;
+        return {
+          src: `../Images/${filename}`,
+          filename,
+          width: size.width,
+          height: size.height
+        };
+      }
+
+      const policy = saver.options.assets.onFailure;
+      if (policy === 'placeholder') {
+        return {
+          src: `../Images/${saver._placeholderImage()}`,
+          width: pageSize.width,
+          height: pageSize.height
+        };
+      }
+      if (policy === 'keep') {
+        return {
+          src: input,
+          width: pageSize.width,
+          height: pageSize.height
+        };
+      }
+      return null;
+    }));
+
+    const replaced = this.chapters.has(idx);
+    this.chapters.set(idx, {
+      title,
+      content: '',
+      type: 'images',
+      images: images.filter(Boolean),
+      useGlobalCSS: false,
+      cssIdxs: [],
+      insertTitle: false,
+      notes: [],
+      sections: [],
+      pages: options.pages || []
+    });
+    this._emitAdded(idx, replaced);
+  }
+
+  // Narration for a chapter, played as an EPUB3 media overlay.
+  // options: {duration (seconds), clips: [{begin, end, id}] in seconds, one per heading/paragraph in order}
+  async addAudio(chapIdx, input, options = {}) {
+    const chapter = this.chapters.get(chapIdx);
+    if (!chapter) {
+      throw new Error(`Chapter ${chapIdx} does not exist in volume ${this.idx}`);
+    }
+
+    let buffer = input;
+    let contentType = null;
+    if (typeof input === 'string') {
+      try {
+        ({ buffer, contentType } = await this.saver._fetchAsset(input));
+      } catch (error) {
+        this.saver._recordAssetFailure(input, 'audio', error);
+        throw new Error(`Failed to fetch audio for chapter ${chapIdx}: ${error.message}`);
+      }
+    }
+
+    const format = EpubSaver._sniffAudio(buffer) ||
+      (contentType && contentType.startsWith('audio/') ? {
+        extension: contentType.includes('mp4') ? 'm4a' : contentType.includes('ogg') ? 'ogg' : 'mp3',
+        mediaType: contentType.split(';')[0]
+      } : null);
+    if (!format) {
+      throw new Error(`Unsupported audio format for chapter ${chapIdx}, expected MP3, MP4/AAC or Ogg`);
+    }
+
+    const clips = options.clips || [];
+    const duration = options.duration ?? EpubSaver._audioDuration(buffer) ??
+      (clips.length > 0 ? Math.max(...clips.map(clip => clip.end)) : null);
+    if (!duration) {
+      throw new Error(`Cannot determine the audio duration of chapter ${chapIdx}, pass options.duration`);
+    }
+
+    chapter.audio = {
+      buffer,
+      extension: format.extension,
+      mediaType: format.mediaType,
+      duration,
+      clips
+    };
+
+    // The highlight class of the overlay is styled in the global stylesheet
+    if (!this.saver.cssFiles.has(0)) {
+      await this.saver.addCSS(0, '');
+    }
+  }
+
+  // Attach a footnote to a chapter, reference it from the chapter content with [^id]
+  async addNote(chapIdx, id, content, options = {}) {
+    const chapter = this.chapters.get(chapIdx);
+    if (!chapter) {
+      throw new Error(`Chapter ${chapIdx} does not exist in volume ${this.idx}`);
+    }
+    chapter.notes = (chapter.notes || []).filter(note => String(note.id) !== String(id));
+    chapter.notes.push({
+      id,
+      content,
+      type: options.type || 'text'
     });
   }
 }
+EpubSaver._dcElements = ['contributor', 'coverage', 'creator', 'date', 'description', 'format', 'identifier',
+  'language', 'publisher', 'relation', 'rights', 'source', 'subject', 'title', 'type'];
+// Image media types every reading system of a target must show, see _processImage()
+EpubSaver._coreImageTypes = {
+  epub2: ['image/gif', 'image/jpeg', 'image/png', 'image/svg+xml'],
+  epub3: ['image/gif', 'image/jpeg', 'image/png', 'image/svg+xml', 'image/webp']
+};
+// Lifecycle hooks accepted by hook() and use(), in the order they run
+EpubSaver._hookNames = ['beforeAddChapter', 'transformChapterDom', 'afterGenerateXhtml', 'beforeManifest', 'beforeZip'];
+// *** / ＊＊＊ / —— / ◇◇◇ and similar separator lines
+EpubSaver._sceneBreakPattern = /^[\s\u3000]*(?:[*＊#＃~～=＝\-－_—·•◇◆○●☆★※][\s\u3000]*){3,}$/;
 EpubSaver.version = '1.0.3'
 
 if (globalThis.window === globalThis) {
   globalThis.EpubSaver = EpubSaver
+  globalThis.EpubValidationError = EpubValidationError
 }
 if (typeof module !== 'undefined') {
   module.exports = {
-    EpubSaver
+    EpubSaver,
+    EpubValidationError
   }
 }
\ No newline at end of file
@@ -1,218 +1,753 @@
 class CustomMarkdownParser {
-    constructor() {
+    constructor(options = {}) {
+        this.options = {
+            renderer: 'html', // 默认输出格式，可以是已注册的名称或渲染器实例
+            // 安全模式：语法以外的 HTML 一律转义，链接和图片只允许 http/https/相对地址，外链加 rel="noopener"
+            // 文本内容来自用户投稿时必须打开
+            safe: false,
+            ...options
+        };
+
         // 缓存正则表达式以提高性能
         this.regexCache = {
-            escape: /\\[\\*_~#+\-]/g,
-            bold: /\*\*([^*]+?)\*\*/g,
-            italic: /\*([^*]+?)\*/g,
-            boldItalic: /\*\*\*([^*]+?)\*\*\*/g,
-            underline: /_([^_]+?)_/g,
-            strikethrough: /-([^-]+?)-/g,
-            heading: /^(#{1,6}) (.+)$/gm,
-            blockquote: /^(>+) (.+)$/gm,
-            unorderedList: /^(\++)\s*(.+)$/gm,
-            orderedList: /^(\d+\.)\s*(.+)$/gm,
-            inlineCode: /~([^~]+?)~/g,
-            codeBlock: /~~~([\s\S]*?)~~~/g,
-            colorTag: /<([a-z0-9#]+)>([\s\S]*?)<\/\1>/gi,
-            link: /\[([^\]]+)\]\(([^)]+)\)/g,
-            image: /!\[([^\]]+)\]\(([^)]+)\)/g
+            // 块级
+            codeFence: /^~~~\s*([\w+#-]*)\s*$/,
+            codeLine: /^~~~(.+?)~~~\s*$/,
+            heading: /^(#{1,6}) (.+)$/,
+            blockquote: /^(>+) (.+)$/,
+            unorderedList: /^(\s*)(\++)\s*(.+)$/,
+            orderedList: /^(\s*)(\d+)\.(?!\d)\s*(.+)$/,
+            taskItem: /^\[([ xX])\]\s+(.*)$/,
+            // 整行只有三个以上的 - * _，不会和 -删除线- 冲突
+            horizontalRule: /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/,
+            // 表格分隔行至少要有一个 |，避免和分隔线混淆
+            tableDelimiter: /^(?=.*\|)\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/,
+            footnoteDefinition: /^\[\^([^\]\s]+)\]:\s*(.*)$/,
+            blankLine: /^\s*$/
+        };
+
+        // 行内规则，同一位置按顺序尝试，先匹配的优先
+        // 所以 *** 在 ** 之前，图片在链接之前
+        this.inlineRules = [
+            {
+                type: 'escape',
+                pattern: /\\([\\*_~#+\-!\[\]()<>|^])/y,
+                create: match => ({ type: 'text', value: match[1] })
+            },
+            {
+                type: 'code',
+                pattern: /~([^~]+?)~/y,
+                create: match => ({ type: 'code', value: match[1] })
+            },
+            {
+                type: 'footnoteReference',
+                pattern: /\[\^([^\]\s]+)\]/y,
+                create: match => this.referenceFootnote(match[1])
+            },
+            {
+                type: 'image',
+                pattern: /!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/y,
+                create: match => {
+                    const src = this.sanitizeUrl(match[2]);
+                    // 不允许的地址只保留替代文字
+                    return src === null ?
+                        { type: 'text', value: match[1] } :
+                        { type: 'image', alt: match[1], src, title: match[3] };
+                }
+            },
+            {
+                type: 'link',
+                // 文字里可以再有一层方括号，[![封面](a.png)](http://x) 是带链接的图片
+                pattern: /\[((?:[^\[\]]|\[[^\[\]]*\])+)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/y,
+                create: match => {
+                    const href = this.sanitizeUrl(match[2]);
+                    const children = this.parseInline(match[1]);
+                    if (href === null) {
+                        return { type: 'group', children };
+                    }
+                    const link = { type: 'link', href, title: match[3], children };
+                    if (this.options.safe && /^(https?:)?\/\//i.test(href)) link.rel = 'noopener';
+                    return link;
+                }
+            },
+            {
+                type: 'color',
+                pattern: /<([a-z]+|#[0-9a-f]{3}|#[0-9a-f]{6})>([\s\S]*?)<\/\1>/iy,
+                create: match => {
+                    const color = CustomMarkdownParser.resolveColor(match[1]);
+                    // 不认识的标签交给下面的 html 规则
+                    return color ? { type: 'color', color, children: this.parseInline(match[2]) } : null;
+                }
+            },
+            {
+                type: 'html',
+                pattern: /<!--[\s\S]*?-->|<\/?[a-z][a-z0-9-]*(?:\s[^<>]*)?\/?>/iy,
+                create: match => this.options.safe ?
+                    { type: 'text', value: match[0] } :
+                    { type: 'html', value: match[0] }
+            },
+            {
+                type: 'boldItalic',
+                pattern: /\*\*\*([^*]+?)\*\*\*/y,
+                create: match => ({
+                    type: 'strong',
+                    children: [{ type: 'emphasis', children: this.parseInline(match[1]) }]
+                })
+            },
+            {
+                type: 'bold',
+                pattern: /\*\*([\s\S]+?)\*\*/y,
+                create: match => ({ type: 'strong', children: this.parseInline(match[1]) })
+            },
+            {
+                type: 'italic',
+                pattern: /\*([^*]+?)\*/y,
+                create: match => ({ type: 'emphasis', children: this.parseInline(match[1]) })
+            },
+            {
+                // 单词中间的 _ 和 - 不算（snake_case、2024-01-01）
+                type: 'underline',
+                pattern: /_([^_]+?)_(?![a-z0-9])/iy,
+                wordBoundary: true,
+                create: match => ({ type: 'underline', children: this.parseInline(match[1]) })
+            },
+            {
+                type: 'strikethrough',
+                pattern: /-([^-\n]+?)-(?![a-z0-9])/iy,
+                wordBoundary: true,
+                create: match => ({ type: 'delete', children: this.parseInline(match[1]) })
+            }
+        ];
+
+        this.renderers = {
+            html: new HtmlRenderer(),
+            xhtml: new XhtmlRenderer(),
+            text: new TextRenderer()
         };
     }
 
-    parse(markdown) {
-        // 1. 首先处理转义字符
-        markdown = this.parseEscapes(markdown);
-        
-        // 2. 处理代码块（避免解析其中的内容）
-        markdown = this.parseCodeBlocks(markdown);
-        
-        // 3. 处理块级元素
-        markdown = this.parseBlockElements(markdown);
-        
-        // 4. 处理行内元素
-        markdown = this.parseInlineElements(markdown);
-        
-        return markdown;
-    }
-
-    parseEscapes(input) {
-        return input.replace(this.regexCache.escape, match => {
-            return match.charAt(1); // 返回转义后的字符
-        });
+    // 解析并渲染，renderer 默认为 options.renderer
+    parse(markdown, renderer = this.options.renderer) {
+        return this.render(this.parseToAST(markdown), renderer);
     }
 
-    parseCodeBlocks(input) {
-        return input.replace(this.regexCache.codeBlock, (_, code) => {
-            return `<pre><code>${code.trim()}</code></pre>`;
-        });
+    render(ast, renderer = this.options.renderer) {
+        const instance = typeof renderer === 'string' ? this.renderers[renderer] : renderer;
+        if (!instance) {
+            throw new Error(`未知的渲染器: ${renderer}`);
+        }
+        return instance.render(ast);
     }
 
-    parseBlockElements(input) {
-        // 使用reduce减少中间字符串生成
-        return [
-            this.parseHeadings,
-            this.parseBlockquotes,
-            this.parseUnorderedLists,
-            this.parseOrderedLists
-        ].reduce((text, parser) => parser.call(this, text), input);
-    }
-
-    parseInlineElements(input) {
-        return [
-            this.parseBold,
-            this.parseItalic,
-            this.parseBoldItalic,
-            this.parseUnderline,
-            this.parseStrikethrough,
-            this.parseInlineCode,
-            this.parseColorTags,
-            this.parseLinks,
-            this.parseImages
-        ].reduce((text, parser) => parser.call(this, text), input);
-    }
-
-    parseHeadings(input) {
-        return input.replace(this.regexCache.heading, (_, level, text) => {
-            const levelNum = level.length;
-            return `<h${levelNum}>${text.trim()}</h${levelNum}>`;
-        });
+    // 注册自定义渲染器，需要实现 render(ast)，一般继承 MarkdownRenderer 即可
+    registerRenderer(name, renderer) {
+        this.renderers[name] = renderer;
+        return this;
     }
 
-    parseBlockquotes(input) {
-        return input.replace(this.regexCache.blockquote, (_, level, text) => {
-            const depth = level.length;
-            return `<blockquote depth="${depth}">${text.trim()}</blockquote>`;
-        });
+    parseToAST(markdown) {
+        // 脚注定义可以写在引用之后，先收集起来，编号按第一次引用的顺序
+        this.footnotes = {
+            definitions: new Map(), // 标签 -> 原文
+            referenced: [] // {label, number}
+        };
+        const source = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        const lines = [];
+        for (let i = 0; i < source.length; i++) {
+            // 代码块和 parseBlocks 一样判断，里面的 [^x]: 原样保留
+            const end = this.regexCache.codeFence.test(source[i]) ?
+                source.findIndex((next, j) => j > i && /^~~~\s*$/.test(next)) : -1;
+            if (end !== -1) {
+                lines.push(...source.slice(i, end + 1));
+                i = end;
+                continue;
+            }
+            const definition = source[i].match(this.regexCache.footnoteDefinition);
+            if (!definition) {
+                lines.push(source[i]);
+            } else if (!this.footnotes.definitions.has(definition[1])) {
+                this.footnotes.definitions.set(definition[1], definition[2]);
+            }
+        }
+
+        const children = this.parseBlocks(lines.join('\n'));
+        const footnotes = this.buildFootnotes();
+        if (footnotes) children.push(footnotes);
+        this.footnotes = null;
+
+        return {
+            type: 'document',
+            children
+        };
     }
 
-    parseUnorderedLists(input) {
-        const lines = input.split('\n');
-        let inList = false;
-        let currentDepth = 0;
-        let output = [];
-        
-        for (const line of lines) {
-            const match = line.match(this.regexCache.unorderedList);
-            
-            if (match) {
-                const depth = match[1].length;
-                const content = match[2].trim();
-                
-                if (!inList) {
-                    output.push(`<ul>`);
-                    inList = true;
+    parseBlocks(markdown) {
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (this.regexCache.blankLine.test(line)) {
+                i++;
+                continue;
+            }
+
+            // 代码块内容原样保留，不再做任何解析
+            const codeLine = line.match(this.regexCache.codeLine);
+            if (codeLine) {
+                blocks.push({ type: 'codeBlock', lang: '', value: codeLine[1].trim() });
+                i++;
+                continue;
+            }
+            const fence = line.match(this.regexCache.codeFence);
+            if (fence) {
+                const end = lines.findIndex((next, j) => j > i && /^~~~\s*$/.test(next));
+                if (end !== -1) {
+                    blocks.push({
+                        type: 'codeBlock',
+                        lang: fence[1],
+                        value: lines.slice(i + 1, end).join('\n').replace(/^\n+|\s+$/g, '')
+                    });
+                    i = end + 1;
+                    continue;
+                }
+            }
+
+            if (this.regexCache.horizontalRule.test(line)) {
+                blocks.push({ type: 'thematicBreak' });
+                i++;
+                continue;
+            }
+
+            if (line.includes('|') && i + 1 < lines.length && this.regexCache.tableDelimiter.test(lines[i + 1])) {
+                const rows = [];
+                let end = i + 2;
+                while (end < lines.length && lines[end].includes('|') && !this.regexCache.blankLine.test(lines[end])) {
+                    rows.push(lines[end]);
+                    end++;
                 }
-                
-                // 处理嵌套层级
-                if (depth > currentDepth) {
-                    output.push(`<li><ul>`);
-                    currentDepth = depth;
-                } else if (depth < currentDepth) {
-                    output.push(`</ul></li>`);
-                    currentDepth = depth;
+                blocks.push(this.buildTable(line, lines[i + 1], rows));
+                i = end;
+                continue;
+            }
+
+            const heading = line.match(this.regexCache.heading);
+            if (heading) {
+                blocks.push({
+                    type: 'heading',
+                    depth: heading[1].length,
+                    children: this.parseInline(heading[2].trim())
+                });
+                i++;
+                continue;
+            }
+
+            const blockquote = line.match(this.regexCache.blockquote);
+            if (blockquote) {
+                blocks.push({
+                    type: 'blockquote',
+                    depth: blockquote[1].length,
+                    children: this.parseInline(blockquote[2].trim())
+                });
+                i++;
+                continue;
+            }
+
+            if (this.parseListItem(line)) {
+                const items = [];
+                while (i < lines.length && this.parseListItem(lines[i])) {
+                    items.push(this.parseListItem(lines[i]));
+                    i++;
+                }
+                blocks.push(...this.buildLists(items));
+                continue;
+            }
+
+            // 普通段落，一行一段
+            blocks.push({
+                type: 'paragraph',
+                children: this.parseInline(line.trim())
+            });
+            i++;
+        }
+
+        return blocks;
+    }
+
+    // + 的个数是无序列表的层级，有序列表按缩进（两个空格一层）
+    parseListItem(line) {
+        const unordered = line.match(this.regexCache.unorderedList);
+        if (unordered) {
+            return {
+                ordered: false,
+                depth: unordered[2].length + Math.floor(unordered[1].length / 2),
+                content: unordered[3].trim()
+            };
+        }
+        const ordered = line.match(this.regexCache.orderedList);
+        if (ordered) {
+            return {
+                ordered: true,
+                depth: 1 + Math.floor(ordered[1].length / 2),
+                start: Number(ordered[2]),
+                content: ordered[3].trim()
+            };
+        }
+        return null;
+    }
+
+    // 把连续的列表行组装成嵌套的 list / listItem 节点
+    buildLists(items) {
+        const roots = [];
+        const stack = []; // {depth, list}
+
+        for (const item of items) {
+            while (stack.length && stack[stack.length - 1].depth > item.depth) {
+                stack.pop();
+            }
+            // 同一层级换了列表类型，另起一个列表
+            if (stack.length && stack[stack.length - 1].depth === item.depth &&
+                stack[stack.length - 1].list.ordered !== item.ordered) {
+                stack.pop();
+            }
+            if (!stack.length || stack[stack.length - 1].depth < item.depth) {
+                const list = { type: 'list', ordered: item.ordered, children: [] };
+                if (item.ordered) list.start = item.start;
+                if (stack.length) {
+                    const siblings = stack[stack.length - 1].list.children;
+                    siblings[siblings.length - 1].children.push(list);
                 } else {
-                    output.push(`</li>`);
+                    roots.push(list);
                 }
-                
-                output.push(`<li>${content}`);
+                stack.push({ depth: item.depth, list });
+            }
+            // + [ ] 待办 / + [x] 已完成
+            const task = item.content.match(this.regexCache.taskItem);
+            const listItem = {
+                type: 'listItem',
+                children: this.parseInline(task ? task[2] : item.content)
+            };
+            if (task) listItem.checked = task[1] !== ' ';
+            stack[stack.length - 1].list.children.push(listItem);
+        }
+
+        return roots;
+    }
+
+    // 按没有转义的 | 切分单元格，首尾的 | 可以省略
+    splitTableRow(line) {
+        const cells = [];
+        let cell = '';
+        const trimmed = line.trim().replace(/^\|/, '');
+        for (let i = 0; i < trimmed.length; i++) {
+            if (trimmed[i] === '\\' && trimmed[i + 1] === '|') {
+                cell += '\\|';
+                i++;
+            } else if (trimmed[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
             } else {
-                if (inList) {
-                    // 结束当前列表
-                    while (currentDepth > 0) {
-                        output.push('</li></ul>');
-                        currentDepth--;
-                    }
-                    output.push('</ul>');
-                    inList = false;
-                }
-                output.push(line);
+                cell += trimmed[i];
             }
         }
-        
-        // 处理文档末尾的列表
-        if (inList) {
-            while (currentDepth >= 0) {
-                output.push('</li>');
-                if (currentDepth > 0) output.push('</ul>');
-                currentDepth--;
+        if (cell.trim() || !trimmed.endsWith('|')) cells.push(cell.trim());
+        return cells;
+    }
+
+    buildTable(headerLine, delimiterLine, rowLines) {
+        const align = this.splitTableRow(delimiterLine).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return null;
+        });
+        const header = this.splitTableRow(headerLine);
+        const columns = header.length;
+        const row = (line, isHeader) => {
+            const cells = Array.isArray(line) ? line : this.splitTableRow(line);
+            return {
+                type: 'tableRow',
+                children: Array.from({ length: columns }, (_, column) => ({
+                    type: 'tableCell',
+                    header: isHeader,
+                    align: align[column] || null,
+                    children: this.parseInline(cells[column] || '')
+                }))
+            };
+        };
+
+        return {
+            type: 'table',
+            align: align.slice(0, columns),
+            children: [row(header, true), ...rowLines.map(line => row(line, false))]
+        };
+    }
+
+    // 没有定义的脚注按原文输出
+    referenceFootnote(label) {
+        if (!this.footnotes || !this.footnotes.definitions.has(label)) return null;
+        let footnote = this.footnotes.referenced.find(item => item.label === label);
+        if (!footnote) {
+            footnote = { label, number: this.footnotes.referenced.length + 1, count: 0 };
+            this.footnotes.referenced.push(footnote);
+        }
+        // 同一个脚注引用多次时，锚点要各不相同
+        footnote.count++;
+        return { type: 'footnoteReference', label, number: footnote.number, occurrence: footnote.count };
+    }
+
+    // 文末的脚注列表，只收录被引用过的；脚注里还能引用新的脚注
+    buildFootnotes() {
+        const definitions = [];
+        for (let i = 0; i < this.footnotes.referenced.length; i++) {
+            const { label, number } = this.footnotes.referenced[i];
+            definitions.push({
+                type: 'footnoteDefinition',
+                label,
+                number,
+                children: this.parseInline(this.footnotes.definitions.get(label).trim())
+            });
+        }
+        return definitions.length ? { type: 'footnotes', children: definitions } : null;
+    }
+
+    parseInline(input) {
+        const nodes = [];
+        let text = '';
+        const flush = () => {
+            if (text) nodes.push({ type: 'text', value: text });
+            text = '';
+        };
+
+        let i = 0;
+        while (i < input.length) {
+            let matched = null;
+            for (const rule of this.inlineRules) {
+                if (rule.wordBoundary && i > 0 && /[a-z0-9]/i.test(input[i - 1])) continue;
+                rule.pattern.lastIndex = i;
+                const match = rule.pattern.exec(input);
+                if (!match) continue;
+                const node = rule.create(match);
+                if (node) {
+                    matched = { node, length: match[0].length };
+                    break;
+                }
             }
+
+            if (!matched) {
+                text += input[i++];
+                continue;
+            }
+            if (matched.node.type === 'text') {
+                text += matched.node.value;
+            } else {
+                flush();
+                nodes.push(matched.node);
+            }
+            i += matched.length;
         }
-        
-        return output.join('\n');
+
+        flush();
+        return nodes;
     }
 
-    parseOrderedLists(input) {
-        return input.replace(this.regexCache.orderedList, (_, num, text) => {
-            return `<li>${text.trim()}</li>`;
+    // 安全模式下不允许的地址返回 null
+    sanitizeUrl(url) {
+        if (!this.options.safe) return url;
+        // 浏览器会忽略地址里的空白和控制字符，比如 "java\tscript:"
+        const normalized = url.replace(/[\u0000-\u0020\u007f]/g, '');
+        const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (scheme && !/^https?$/i.test(scheme[1])) return null;
+        return url;
+    }
+
+    // 创建一个安全模式默认打开的解析器，用于加载 .txt 文本
+    static forText(options = {}) {
+        return new CustomMarkdownParser({
+            safe: true,
+            ...options
         });
     }
 
-    parseBold(input) {
-        return input.replace(this.regexCache.bold, '<strong>$1</strong>');
+    // 颜色名称或 #rgb / #rrggbb，不认识的返回 null
+    static resolveColor(color) {
+        const normalizedColor = color.toLowerCase();
+        if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(normalizedColor)) {
+            return normalizedColor;
+        }
+        return CustomMarkdownParser.colorMap[normalizedColor] || null;
     }
+}
 
-    parseItalic(input) {
-        return input.replace(this.regexCache.italic, '<em>$1</em>');
+// 预定义颜色
+CustomMarkdownParser.colorMap = {
+    red: '#FF0000',
+    green: '#00FF00',
+    blue: '#0000FF',
+    yellow: '#FFFF00',
+    purple: '#800080',
+    cyan: '#00FFFF',
+    magenta: '#FF00FF',
+    orange: '#FFA500',
+    pink: '#FFC0CB',
+    brown: '#A52A2A',
+    black: '#000000',
+    white: '#FFFFFF',
+    gray: '#808080',
+    grey: '#808080'
+};
+
+// 渲染器基类：每种节点类型对应一个同名方法，没有实现的类型只渲染子节点
+class MarkdownRenderer {
+    render(node) {
+        const handler = this[node.type];
+        return typeof handler === 'function' ? handler.call(this, node) : this.renderChildren(node);
     }
 
-    parseBoldItalic(input) {
-        return input.replace(this.regexCache.boldItalic, '<strong><em>$1</em></strong>');
+    renderChildren(node, separator = '') {
+        return (node.children || []).map(child => this.render(child)).join(separator);
     }
 
-    parseUnderline(input) {
-        return input.replace(this.regexCache.underline, '<u>$1</u>');
+    document(node) {
+        return this.renderChildren(node, '\n');
     }
+}
 
-    parseStrikethrough(input) {
-        return input.replace(this.regexCache.strikethrough, '<del>$1</del>');
+class HtmlRenderer extends MarkdownRenderer {
+    escape(text) {
+        return String(text)
+            .replace(/&(?!#?[a-z0-9]+;)/gi, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
     }
 
-    parseInlineCode(input) {
-        return input.replace(this.regexCache.inlineCode, '<code>$1</code>');
+    // 代码原样显示，已经写成实体的 &lt; 也要显示成 &lt;
+    escapeCode(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
     }
 
-    parseColorTags(input) {
-        return input.replace(this.regexCache.colorTag, (_, color, content) => {
-            // 处理颜色名称大小写不敏感
-            const normalizedColor = color.toLowerCase();
-            
-            // 检查是否是十六进制颜色
-            if (/^#[0-9a-f]{6}$/i.test(normalizedColor)) {
-                return `<span style="color: ${normalizedColor}">${content}</span>`;
-            }
-            
-            // 处理预定义颜色
-            const colorMap = {
-                red: '#FF0000',
-                green: '#00FF00',
-                blue: '#0000FF',
-                yellow: '#FFFF00',
-                purple: '#800080',
-                cyan: '#00FFFF',
-                magenta: '#FF00FF',
-                orange: '#FFA500',
-                pink: '#FFC0CB',
-                brown: '#A52A2A',
-                black: '#000000',
-                white: '#FFFFFF',
-                gray: '#808080'
-            };
-            
-            const hexColor = colorMap[normalizedColor] || '#000000';
-            return `<span style="color: ${hexColor}">${content}</span>`;
-        });
+    // 属性里的实体一律转义，&#106;avascript: 之类拼不出协议名
+    escapeAttribute(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    heading(node) {
+        return `<h${node.depth}>${this.renderChildren(node)}</h${node.depth}>`;
+    }
+
+    paragraph(node) {
+        return `<p>${this.renderChildren(node)}</p>`;
+    }
+
+    blockquote(node) {
+        return `<blockquote depth="${node.depth}">${this.renderChildren(node)}</blockquote>`;
+    }
+
+    list(node) {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const start = node.ordered && node.start !== undefined && node.start !== 1 ? ` start="${node.start}"` : '';
+        return `<${tag}${start}>\n${this.renderChildren(node, '\n')}\n</${tag}>`;
+    }
+
+    listItem(node) {
+        return `<li>${node.checked === undefined ? '' : this.checkbox(node.checked)}${this.renderChildren(node)}</li>`;
+    }
+
+    checkbox(checked) {
+        return `<input type="checkbox" disabled${checked ? ' checked' : ''}${this.voidEnd()} `;
+    }
+
+    thematicBreak() {
+        return `<hr${this.voidEnd()}`;
+    }
+
+    table(node) {
+        const [head, ...body] = node.children;
+        const rows = body.length ? `\n<tbody>\n${body.map(row => this.render(row)).join('\n')}\n</tbody>` : '';
+        return `<table>\n<thead>\n${this.render(head)}\n</thead>${rows}\n</table>`;
+    }
+
+    tableRow(node) {
+        return `<tr>${this.renderChildren(node)}</tr>`;
+    }
+
+    tableCell(node) {
+        const tag = node.header ? 'th' : 'td';
+        const align = node.align ? ` style="text-align: ${node.align}"` : '';
+        return `<${tag}${align}>${this.renderChildren(node)}</${tag}>`;
+    }
+
+    footnoteReference(node) {
+        const id = node.occurrence > 1 ? `fnref-${node.number}-${node.occurrence}` : `fnref-${node.number}`;
+        return `<sup class="footnote-ref"><a href="#fn-${node.number}" id="${id}">${node.number}</a></sup>`;
+    }
+
+    footnotes(node) {
+        return `<section class="footnotes">\n<hr${this.voidEnd()}\n<ol>\n${this.renderChildren(node, '\n')}\n</ol>\n</section>`;
+    }
+
+    footnoteDefinition(node) {
+        return `<li id="fn-${node.number}">${this.renderChildren(node)} <a href="#fnref-${node.number}" class="footnote-backref">↩</a></li>`;
+    }
+
+    codeBlock(node) {
+        const lang = node.lang ? ` class="language-${this.escapeAttribute(node.lang)}"` : '';
+        return `<pre><code${lang}>${this.escapeCode(node.value)}</code></pre>`;
+    }
+
+    text(node) {
+        return this.escape(node.value);
+    }
+
+    html(node) {
+        return node.value;
+    }
+
+    strong(node) {
+        return `<strong>${this.renderChildren(node)}</strong>`;
+    }
+
+    emphasis(node) {
+        return `<em>${this.renderChildren(node)}</em>`;
+    }
+
+    underline(node) {
+        return `<u>${this.renderChildren(node)}</u>`;
+    }
+
+    delete(node) {
+        return `<del>${this.renderChildren(node)}</del>`;
+    }
+
+    code(node) {
+        return `<code>${this.escapeCode(node.value)}</code>`;
     }
 
-    parseLinks(input) {
-        return input.replace(this.regexCache.link, '<a href="$2">$1</a>');
+    color(node) {
+        return `<span style="color: ${node.color}">${this.renderChildren(node)}</span>`;
     }
 
-    parseImages(input) {
-        return input.replace(this.regexCache.image, '<img src="$2" alt="$1">');
+    link(node) {
+        const title = node.title ? ` title="${this.escapeAttribute(node.title)}"` : '';
+        const rel = node.rel ? ` rel="${this.escapeAttribute(node.rel)}"` : '';
+        return `<a href="${this.escapeAttribute(node.href)}"${title}${rel}>${this.renderChildren(node)}</a>`;
+    }
+
+    image(node) {
+        const title = node.title ? ` title="${this.escapeAttribute(node.title)}"` : '';
+        return `<img src="${this.escapeAttribute(node.src)}" alt="${this.escapeAttribute(node.alt)}"${title}${this.voidEnd()}`;
+    }
+
+    voidEnd() {
+        return '>';
     }
 }
 
+// 供 EPUB 使用：空元素自闭合，只用 XML 认识的实体，不输出非标准属性
+class XhtmlRenderer extends HtmlRenderer {
+    escape(text) {
+        return String(text)
+            .replace(/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/gi, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    blockquote(node) {
+        return `<blockquote class="depth-${node.depth}">${this.renderChildren(node)}</blockquote>`;
+    }
+
+    checkbox(checked) {
+        return `<input type="checkbox" disabled="disabled"${checked ? ' checked="checked"' : ''} /> `;
+    }
+
+    voidEnd() {
+        return ' />';
+    }
+}
+
+class TextRenderer extends MarkdownRenderer {
+    heading(node) {
+        return this.renderChildren(node);
+    }
+
+    paragraph(node) {
+        return this.renderChildren(node);
+    }
+
+    blockquote(node) {
+        return this.renderChildren(node);
+    }
+
+    list(node, depth = 0) {
+        return node.children.map((item, index) => {
+            const marker = node.ordered ? `${(node.start || 1) + index}.` : '•';
+            const inline = item.children.filter(child => child.type !== 'list');
+            const nested = item.children.filter(child => child.type === 'list')
+                .map(child => '\n' + this.list(child, depth + 1));
+            const task = item.checked === undefined ? '' : item.checked ? '[x] ' : '[ ] ';
+            return `${'  '.repeat(depth)}${marker} ${task}${inline.map(child => this.render(child)).join('')}${nested.join('')}`;
+        }).join('\n');
+    }
+
+    codeBlock(node) {
+        return node.value;
+    }
+
+    text(node) {
+        return node.value;
+    }
+
+    code(node) {
+        return node.value;
+    }
+
+    html() {
+        return '';
+    }
+
+    image(node) {
+        return node.alt;
+    }
+
+    thematicBreak() {
+        return '----------';
+    }
+
+    table(node) {
+        return this.renderChildren(node, '\n');
+    }
+
+    tableRow(node) {
+        return node.children.map(cell => this.render(cell)).join(' | ');
+    }
+
+    footnoteReference(node) {
+        return `[${node.number}]`;
+    }
+
+    footnotes(node) {
+        return '----------\n' + this.renderChildren(node, '\n');
+    }
+
+    footnoteDefinition(node) {
+        return `[${node.number}] ${this.renderChildren(node)}`;
+    }
+}
+
+CustomMarkdownParser.MarkdownRenderer = MarkdownRenderer;
+CustomMarkdownParser.HtmlRenderer = HtmlRenderer;
+CustomMarkdownParser.XhtmlRenderer = XhtmlRenderer;
+CustomMarkdownParser.TextRenderer = TextRenderer;
+
 // 导出模块
 if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
     module.exports = CustomMarkdownParser;